@@ -1,12 +1,147 @@
 const {
   parseBaseDate_,
   getNextUpcomingRow_,
+  parseScheduleRows_,
+  isNoGroupRow_,
+  parseBlackouts_,
+  applyBlackouts_,
   buildEmailBody_,
   buildEmailSubject_,
   buildGroupMeMessage_,
+  parseTemplates_,
+  renderTemplate_,
   sendEmailToRecipients_,
   postGroupMeMessageWithBotId_,
+  splitGroupMeMessage_,
+  parseGroups_,
+  sendNotif,
+  forceSendNotif,
+  testSendNotif,
+  testSendOpenSlotsDigest,
+  testSendDutyNudges,
+  previewNotif,
+  hasPriorSend_,
+  parseMembers_,
+  getDutyAssignments_,
+  getEmailRecipients_,
+  splitAssigneeNames_,
+  findMemberByName_,
+  sendDutyNudges,
+  sendOpenSlotsDigest,
+  findOpenSlots_,
+  parseRosters_,
+  planScheduleRows_,
+  getMeetingWeekday_,
+  generateSchedule,
+  previewSchedule,
+  buildIcsEvent_,
+  foldIcsLine_,
+  syncCalendar,
+  selectReminderRow_,
+  getReminderCadences_,
+  getUpcomingRows_,
+  buildDigestEmailBody_,
+  buildDigestGroupMeMessage_,
+  parseSheetDate_,
+  validateScheduleData_,
+  validateSchedule,
+  formatRowDate_,
+  getShortDate_,
+  getRowSignupUrl_,
+  doPost,
+  checkSetup,
+  getSheetData_,
+  installTriggers,
+  removeTriggers,
+  listTriggers,
+  parseSendSchedule_,
+  handleGroupMeCallback_,
+  doGet,
+  buildRsvpUrl_,
+  parseRsvps_,
+  getRsvpCounts_,
 } = require("../script.js");
+const crypto = require("crypto");
+
+const SCHEDULE_HEADER = ["Date", "Description", "Location", "Food Theme", "Childcare Duty"];
+
+function makeScheduleRow(date, description, location, foodTheme, childcareDuty) {
+  return { date, description, location, foodTheme, childcareDuty, fields: {} };
+}
+
+function mockScriptProperties(props) {
+  global.PropertiesService = {
+    getScriptProperties: () => ({
+      getProperty: (key) => (key in props ? props[key] : null),
+      setProperty: (key, value) => { props[key] = value; },
+      deleteProperty: (key) => { delete props[key]; },
+    }),
+  };
+}
+
+// Minimal in-memory Sheet fake backed by a 2D array that tests can inspect.
+function makeFakeSheet(values, gid = 0) {
+  const width = () => values.reduce((max, r) => Math.max(max, r.length), 0);
+  return {
+    getSheetId: () => gid,
+    getDataRange: () => ({ getValues: () => values.map((r) => r.slice()) }),
+    getLastRow: () => values.length,
+    getLastColumn: width,
+    getRange: (row, col, numRows = 1, numCols = 1) => ({
+      getValues: () =>
+        values.slice(row - 1, row - 1 + numRows).map((r) => {
+          const out = r.slice(col - 1, col - 1 + numCols);
+          while (out.length < numCols) out.push("");
+          return out;
+        }),
+      setValue: (v) => {
+        while (values.length < row) values.push([]);
+        values[row - 1][col - 1] = v;
+      },
+      setValues: (rows) => {
+        rows.forEach((r, i) => {
+          while (values.length < row + i) values.push([]);
+          r.forEach((v, j) => { values[row - 1 + i][col - 1 + j] = v; });
+        });
+      },
+    }),
+    appendRow: (row) => { values.push(row.slice()); },
+    clearContents: () => { values.length = 0; },
+    setFrozenRows: () => {},
+  };
+}
+
+// Minimal SpreadsheetApp fake: { [sheetId]: { [sheetName]: 2D values } }.
+// Sheets created via insertSheet are added to the same object.
+function mockSpreadsheets(spreadsheets) {
+  global.SpreadsheetApp = {
+    openById: (id) => {
+      if (!spreadsheets[id]) throw new Error("Unknown spreadsheet " + id);
+      const sheets = spreadsheets[id];
+      return {
+        getSheetByName: (name) => (sheets[name] ? makeFakeSheet(sheets[name], Object.keys(sheets).indexOf(name)) : null),
+        insertSheet: (name) => {
+          sheets[name] = [];
+          return makeFakeSheet(sheets[name]);
+        },
+      };
+    },
+  };
+}
+
+function httpResponse(code, text = "") {
+  return { getResponseCode: () => code, getContentText: () => text };
+}
+
+function isoFormatDate(date, tz, fmt) {
+  return fmt === "yyyy-MM-dd" ? date.toISOString().slice(0, 10) : fmt;
+}
+
+// Script time zone = the runtime's, like Apps Script; pass a zone to emulate another script setting.
+function mockTimeZone(scriptTimeZone, props = {}) {
+  global.Session = { getScriptTimeZone: () => scriptTimeZone || Intl.DateTimeFormat().resolvedOptions().timeZone };
+  mockScriptProperties(props);
+}
 
 function makeDateDaysFromNow(daysFromNow) {
   const d = new Date();
@@ -16,21 +151,23 @@ function makeDateDaysFromNow(daysFromNow) {
 }
 
 describe("getNextUpcomingRow", () => {
-  test("returns first row within next 7 days (skips header)", () => {
+  beforeEach(() => mockTimeZone());
+
+  test("returns the earliest row within next 7 days, whatever the sheet order (skips header)", () => {
     const data = [
-      ["Date", "Description", "Location", "Food", "Childcare"],
+      SCHEDULE_HEADER,
       [makeDateDaysFromNow(10), "too far", "loc", "food", "cc"],
       [makeDateDaysFromNow(2), "soon", "loc", "food", "cc"],
       [makeDateDaysFromNow(1), "even sooner but later in sheet", "loc", "food", "cc"],
     ];
 
     const row = getNextUpcomingRow_(data);
-    expect(row[1]).toBe("soon");
+    expect(row.description).toBe("even sooner but later in sheet");
   });
 
   test("returns null when no rows fall in window", () => {
     const data = [
-      ["Date", "Description"],
+      SCHEDULE_HEADER,
       [makeDateDaysFromNow(-1), "past"],
       [makeDateDaysFromNow(8), "too late"],
     ];
@@ -40,6 +177,8 @@ describe("getNextUpcomingRow", () => {
 });
 
 describe("parseBaseDate_", () => {
+  beforeEach(() => mockTimeZone());
+
   test("defaults to today's midnight when undefined", () => {
     const d = parseBaseDate_();
     const now = new Date();
@@ -96,16 +235,18 @@ describe("parseBaseDate_", () => {
 });
 
 describe("getNextUpcomingRow with base date", () => {
+  beforeEach(() => mockTimeZone());
+
   function mkRow(date, desc) {
     const d = new Date(date);
     d.setHours(0, 0, 0, 0);
     return [d, desc || "desc", "loc", "food", "cc"];
   }
 
-  test("returns first row within window relative to base date", () => {
+  test("returns the earliest row within window relative to base date", () => {
     const base = parseBaseDate_("1/10/2025");
     const data = [
-      ["Date", "Description", "Location", "Food", "Childcare"],
+      SCHEDULE_HEADER,
       mkRow(new Date(2025, 0, 5), "past"),
       mkRow(new Date(2025, 0, 12), "two days"),
       mkRow(new Date(2025, 0, 18), "outside window"),
@@ -113,13 +254,13 @@ describe("getNextUpcomingRow with base date", () => {
     ];
 
     const row = getNextUpcomingRow_(data, base);
-    expect(row[1]).toBe("two days");
+    expect(row.description).toBe("one day later in sheet");
   });
 
   test("returns null when no rows within 7-day window from base", () => {
     const base = parseBaseDate_("1/10/2025");
     const data = [
-      ["Date", "Description"],
+      SCHEDULE_HEADER,
       mkRow(new Date(2025, 0, 9), "past"),
       mkRow(new Date(2025, 0, 19), "too late"),
     ];
@@ -128,6 +269,46 @@ describe("getNextUpcomingRow with base date", () => {
   });
 });
 
+describe("parseScheduleRows_", () => {
+  beforeEach(() => mockTimeZone());
+
+  test("maps columns by header name regardless of order and keeps extra columns", () => {
+    const date = new Date(2025, 0, 12);
+    const data = [
+      ["Location", "Host", " date ", "Childcare Duty", "Food Theme", "Description"],
+      ["Smith home", "The Smiths", date, "Alex", "Tacos", "Study night"],
+    ];
+
+    const [row] = parseScheduleRows_(data);
+    expect(row.date).toBe(date);
+    expect(row.description).toBe("Study night");
+    expect(row.location).toBe("Smith home");
+    expect(row.foodTheme).toBe("Tacos");
+    expect(row.childcareDuty).toBe("Alex");
+    expect(row.fields.Host).toBe("The Smiths");
+  });
+
+  test("throws a clear error when a required header is missing", () => {
+    const data = [
+      ["Date", "Description", "Location", "Food"],
+      [new Date(2025, 0, 12), "Desc", "Loc", "Food"],
+    ];
+
+    expect(() => parseScheduleRows_(data)).toThrow(
+      "The Schedule sheet is missing required column(s): Food Theme, Childcare Duty."
+    );
+  });
+
+  test("isNoGroupRow_ reads the Location column by header", () => {
+    const data = [
+      ["Description", "Date", "Childcare Duty", "Food Theme", "Location"],
+      ["Holiday", new Date(2025, 0, 12), "", "", " no group "],
+    ];
+
+    expect(isNoGroupRow_(parseScheduleRows_(data)[0])).toBe(true);
+  });
+});
+
 describe("buildEmailBody", () => {
   beforeEach(() => {
     // Minimal mocks for Apps Script globals used by buildEmailBody
@@ -158,7 +339,7 @@ describe("buildEmailBody", () => {
   });
 
   test("includes formatted date and signup url", () => {
-    const row = [new Date("2025-12-25T00:00:00Z"), "Desc", "Loc", "Food", "Duty"];
+    const row = makeScheduleRow(new Date("2025-12-25T00:00:00Z"), "Desc", "Loc", "Food", "Duty");
     const html = buildEmailBody_(row);
 
     expect(html).toContain("FORMATTED_DATE");
@@ -168,7 +349,7 @@ describe("buildEmailBody", () => {
   });
 
   test("returns NO GROUP message when location is No Group", () => {
-    const row = [new Date("2025-12-17T00:00:00Z"), "Desc", "No Group", "Food", "Duty"];
+    const row = makeScheduleRow(new Date("2025-12-17T00:00:00Z"), "Desc", "No Group", "Food", "Duty");
     const body = buildEmailBody_(row);
 
     expect(body).toBe("NO GROUP for Mendez/Williams City Group on 12-17");
@@ -197,12 +378,12 @@ describe("buildEmailSubject", () => {
   });
 
   test("formats subject as Reminder for Mendez/Williams City Group on 12-17", () => {
-    const row = [new Date("2025-12-17T00:00:00Z"), "Desc", "Loc", "Food", "Duty"];
+    const row = makeScheduleRow(new Date("2025-12-17T00:00:00Z"), "Desc", "Loc", "Food", "Duty");
     expect(buildEmailSubject_(row)).toBe("Reminder for Mendez/Williams City Group on 12-17");
   });
 
   test("formats subject as NO GROUP for Mendez/Williams City Group on 12-17 when location is No Group", () => {
-    const row = [new Date("2025-12-17T00:00:00Z"), "Desc", "No Group", "Food", "Duty"];
+    const row = makeScheduleRow(new Date("2025-12-17T00:00:00Z"), "Desc", "No Group", "Food", "Duty");
     expect(buildEmailSubject_(row)).toBe("NO GROUP for Mendez/Williams City Group on 12-17");
   });
 });
@@ -231,13 +412,13 @@ describe("buildGroupMeMessage", () => {
   });
 
   test("returns single-line NO GROUP message when location is No Group", () => {
-    const row = [new Date("2025-12-17T00:00:00Z"), "Desc", "No Group", "Food", "Duty"];
+    const row = makeScheduleRow(new Date("2025-12-17T00:00:00Z"), "Desc", "No Group", "Food", "Duty");
     const message = buildGroupMeMessage_(row);
     expect(message).toBe("NO GROUP for Mendez/Williams City Group on 12-17");
   });
 
   test("includes subject line, long date, details, and signup link", () => {
-    const row = [new Date("2025-12-25T00:00:00Z"), "Desc", "Loc", "Food", "Duty"];
+    const row = makeScheduleRow(new Date("2025-12-25T00:00:00Z"), "Desc", "Loc", "Food", "Duty");
     const message = buildGroupMeMessage_(row);
 
     expect(message).toContain("Reminder for Mendez/Williams City Group on 12-17");
@@ -249,10 +430,129 @@ describe("buildGroupMeMessage", () => {
   });
 });
 
+describe("sign-up links", () => {
+  const sheetUrl = "https://docs.google.com/spreadsheets/d/S1/edit?usp=sharing";
+  let sheets;
+
+  beforeEach(() => {
+    global.Session = { getScriptTimeZone: () => "UTC" };
+    global.Utilities = { formatDate: isoFormatDate };
+    global.Logger = { log: jest.fn() };
+    global.MailApp = { sendEmail: jest.fn(), getRemainingDailyQuota: () => 100 };
+    global.UrlFetchApp = { fetch: jest.fn(() => httpResponse(202)) };
+    sheets = {
+      Emails: [["Email"], ["a@test.com"]],
+      Schedule: [SCHEDULE_HEADER, [makeDateDaysFromNow(2), "Study", "Park", "Pizza", "Kim"]],
+    };
+    mockSpreadsheets({ S1: sheets });
+  });
+
+  test("getRowSignupUrl_ jumps to the row, fills the form date, or falls back to the sheet", () => {
+    mockScriptProperties({ SHEET_ID: "S1" });
+    const row = { date: new Date(Date.UTC(2025, 0, 12)), rowNumber: 5 };
+
+    expect(getRowSignupUrl_(row, { signupUrl: sheetUrl, scheduleGid: 42 })).toBe(sheetUrl + "#gid=42&range=5:5");
+    expect(getRowSignupUrl_(row, { signupUrl: sheetUrl, scheduleGid: null })).toBe(sheetUrl);
+    expect(getRowSignupUrl_(null, { signupUrl: sheetUrl, scheduleGid: 42 })).toBe(sheetUrl);
+    expect(
+      getRowSignupUrl_(row, { signupUrl: sheetUrl, scheduleGid: 42, signupFormUrl: "https://forms.test/f?entry.1={{Date}}" })
+    ).toBe("https://forms.test/f?entry.1=2025-01-12");
+  });
+
+  test("reminders link to the event's Schedule row", () => {
+    mockScriptProperties({ SHEET_ID: "S1", GROUPME_BOT_ID: "BOT", SCHEDULE_WARNING_ROWS: "0" });
+    sendNotif();
+
+    expect(global.MailApp.sendEmail.mock.calls[0][0].htmlBody).toContain(sheetUrl + "#gid=1&amp;range=2:2");
+    expect(JSON.parse(global.UrlFetchApp.fetch.mock.calls[0][1].payload).text).toContain(sheetUrl + "#gid=1&range=2:2");
+  });
+
+  test("reminders use the prefilled sign-up form when SIGNUP_FORM_URL is set", () => {
+    mockScriptProperties({
+      SHEET_ID: "S1",
+      GROUPME_BOT_ID: "BOT",
+      SCHEDULE_WARNING_ROWS: "0",
+      SIGNUP_FORM_URL: "https://forms.test/f?entry.1={{Date}}",
+    });
+    sendNotif();
+
+    const text = JSON.parse(global.UrlFetchApp.fetch.mock.calls[0][1].payload).text;
+    expect(text).toContain("https://forms.test/f?entry.1=" + isoFormatDate(sheets.Schedule[1][0], "UTC", "yyyy-MM-dd"));
+    expect(text).not.toContain(sheetUrl);
+  });
+});
+
+describe("templates", () => {
+  beforeEach(() => {
+    global.Session = {
+      getScriptTimeZone: () => "UTC",
+    };
+
+    global.Utilities = {
+      formatDate: (date, tz, fmt) => (fmt === "MM-dd" ? "12-17" : "FORMATTED_DATE"),
+    };
+
+    global.PropertiesService = {
+      getScriptProperties: () => ({
+        getProperty: (key) => (key === "SHEET_ID" ? "SHEET123" : null),
+      }),
+    };
+
+    global.Logger = {
+      log: jest.fn(),
+    };
+  });
+
+  test("parseTemplates_ reads Key/Template columns, ignoring blanks and unknown keys", () => {
+    const templates = parseTemplates_([
+      ["Template", "Key"],
+      ["Hi {{GroupName}}", "Subject"],
+      ["", "email"],
+      ["???", "footer"],
+    ]);
+
+    expect(templates).toEqual({ subject: "Hi {{GroupName}}" });
+    expect(global.Logger.log).toHaveBeenCalledWith(expect.stringContaining("footer"));
+  });
+
+  test("renderTemplate_ substitutes case-insensitively and keeps unknown placeholders", () => {
+    const text = renderTemplate_("{{ food theme }} at {{Host}} {{Nope}}", {
+      "food theme": "Tacos",
+      host: () => "Smiths",
+    });
+    expect(text).toBe("Tacos at Smiths {{Nope}}");
+  });
+
+  test("uses sheet templates with any Schedule column and HTML-escapes email values", () => {
+    const row = makeScheduleRow(new Date("2025-12-17T00:00:00Z"), "Q&A <night>", "Loc", "Food", "Duty");
+    row.fields = { Host: "Pat & Sam" };
+    const ctx = {
+      groupName: "Eastside Group",
+      templates: {
+        subject: "{{GroupName}}: {{Description}}",
+        email: "<p>{{Description}} hosted by {{Host}} on {{ShortDate}}</p>",
+        groupMe: "{{Host}} hosts {{Description}}",
+      },
+    };
+
+    expect(buildEmailSubject_(row, ctx)).toBe("Eastside Group: Q&A <night>");
+    expect(buildEmailBody_(row, ctx)).toBe("<p>Q&amp;A &lt;night&gt; hosted by Pat &amp; Sam on 12-17</p>");
+    expect(buildGroupMeMessage_(row, ctx)).toBe("Pat & Sam hosts Q&A <night>");
+  });
+
+  test("falls back to default templates when none are configured", () => {
+    const row = makeScheduleRow(new Date("2025-12-17T00:00:00Z"), "Desc", "No Group", "Food", "Duty");
+    expect(buildGroupMeMessage_(row, { templates: {} })).toBe(
+      "NO GROUP for Mendez/Williams City Group on 12-17"
+    );
+  });
+});
+
 describe("sendEmailToRecipients", () => {
   beforeEach(() => {
     global.MailApp = {
       sendEmail: jest.fn(),
+      getRemainingDailyQuota: () => 100,
     };
 
     global.Logger = {
@@ -291,6 +591,105 @@ describe("sendEmailToRecipients", () => {
   });
 });
 
+describe("member emails", () => {
+  beforeEach(() => {
+    global.Logger = { log: jest.fn() };
+    global.MailApp = { sendEmail: jest.fn(), getRemainingDailyQuota: jest.fn(() => 100) };
+    global.Session = { getEffectiveUser: () => ({ getEmail: () => "organizer@test.com" }) };
+  });
+
+  test("parseMembers_ reads Name/Active/Channel by header", () => {
+    const members = parseMembers_([
+      ["Name", "Channel", "Email", "Active"],
+      ["Ann", "Email", "ann@test.com", true],
+      ["Bob", "GroupMe", "bob@test.com", "yes"],
+      ["Cy", "", "cy@test.com", "Opt-out"],
+      ["", "", "", ""],
+    ]);
+
+    expect(members).toEqual([
+      { email: "ann@test.com", name: "Ann", active: true, channel: "email", groupMeUserId: "" },
+      { email: "bob@test.com", name: "Bob", active: true, channel: "groupme", groupMeUserId: "" },
+      { email: "cy@test.com", name: "Cy", active: false, channel: "both", groupMeUserId: "" },
+    ]);
+  });
+
+  test("parseMembers_ falls back to column A for the original single-column layout", () => {
+    expect(parseMembers_([["Addresses"], ["a@test.com"]])).toEqual([
+      { email: "a@test.com", name: "", active: true, channel: "both", groupMeUserId: "" },
+    ]);
+  });
+
+  test("getEmailRecipients_ skips inactive and GroupMe-only members", () => {
+    mockScriptProperties({ SHEET_ID: "S1" });
+    mockSpreadsheets({
+      S1: {
+        Emails: [
+          ["Email", "Name", "Active", "Channel"],
+          ["ann@test.com", "Ann", "", "both"],
+          ["bob@test.com", "Bob", "", "GroupMe"],
+          ["cy@test.com", "Cy", false, ""],
+        ],
+      },
+    });
+
+    expect(getEmailRecipients_()).toEqual([{ email: "ann@test.com", name: "Ann" }]);
+  });
+
+  test("individual mode greets each recipient by name", () => {
+    const count = sendEmailToRecipients_("Sub", "<p>Body</p>", [
+      { email: "ann@test.com", name: "Ann <3" },
+      "b@test.com",
+    ], "individual");
+
+    expect(count).toBe(2);
+    expect(global.MailApp.sendEmail.mock.calls.map((c) => c[0])).toEqual([
+      { to: "ann@test.com", subject: "Sub", htmlBody: "<p>Hi Ann &lt;3,</p>\n<p>Body</p>" },
+      { to: "b@test.com", subject: "Sub", htmlBody: "<p>Body</p>" },
+    ]);
+  });
+
+  test("bcc mode hides recipients from each other", () => {
+    sendEmailToRecipients_("Sub", "Body", ["a@test.com", "b@test.com"], "bcc");
+
+    expect(global.MailApp.sendEmail).toHaveBeenCalledWith({
+      to: "organizer@test.com",
+      bcc: "a@test.com,b@test.com",
+      subject: "Sub",
+      htmlBody: "Body",
+    });
+  });
+
+  test("respects the remaining daily quota", () => {
+    global.MailApp.getRemainingDailyQuota.mockReturnValue(1);
+
+    expect(() => sendEmailToRecipients_("Sub", "Body", ["a@test.com", "b@test.com"], "bcc")).toThrow(
+      "MailApp daily quota too low: 2 recipient(s) needed, 1 remaining."
+    );
+    expect(global.MailApp.sendEmail).not.toHaveBeenCalled();
+
+    expect(() => sendEmailToRecipients_("Sub", "Body", ["a@test.com", "b@test.com"], "individual")).toThrow(
+      "MailApp daily quota too low: 2 recipient(s) needed, 1 remaining."
+    );
+    expect(global.MailApp.sendEmail).not.toHaveBeenCalled();
+  });
+
+  test("reports who was emailed when an individual send fails partway", () => {
+    global.MailApp.sendEmail.mockImplementation((message) => {
+      if (message.to === "b@test.com") throw new Error("Service invoked too many times");
+    });
+
+    let error;
+    try {
+      sendEmailToRecipients_("Sub", "Body", ["a@test.com", "b@test.com", "c@test.com"], "individual");
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).toBe("Email failed after 1 of 3 recipients (b@test.com): Service invoked too many times");
+    expect(error.delivered).toEqual(["a@test.com"]);
+  });
+});
+
 describe("postGroupMeMessageWithBotId", () => {
   beforeEach(() => {
     global.Logger = {
@@ -298,7 +697,11 @@ describe("postGroupMeMessageWithBotId", () => {
     };
 
     global.UrlFetchApp = {
-      fetch: jest.fn(),
+      fetch: jest.fn(() => httpResponse(202)),
+    };
+
+    global.Utilities = {
+      sleep: jest.fn(),
     };
   });
 
@@ -327,4 +730,1868 @@ describe("postGroupMeMessageWithBotId", () => {
     const parsed = JSON.parse(options.payload);
     expect(parsed).toEqual({ bot_id: "BOT123", text: "Hello GroupMe" });
   });
+
+  test("retries transient failures with backoff and reports success", () => {
+    global.UrlFetchApp.fetch
+      .mockReturnValueOnce(httpResponse(503, "unavailable"))
+      .mockImplementationOnce(() => { throw new Error("timeout"); })
+      .mockReturnValueOnce(httpResponse(202));
+
+    const result = postGroupMeMessageWithBotId_("BOT123", "Hello");
+
+    expect(result).toEqual({ ok: true, status: 202, attempts: 3, error: "", delivered: [] });
+    expect(global.Utilities.sleep.mock.calls).toEqual([[1000], [2000]]);
+  });
+
+  test("does not retry permanent failures", () => {
+    global.UrlFetchApp.fetch.mockReturnValue(httpResponse(404, "bot not found"));
+
+    const result = postGroupMeMessageWithBotId_("BAD", "Hello");
+
+    expect(global.UrlFetchApp.fetch).toHaveBeenCalledTimes(1);
+    expect(result.ok).toBe(false);
+    expect(result.status).toBe(404);
+    expect(result.error).toBe("GroupMe post failed with HTTP 404: bot not found");
+  });
+
+  test("gives up after the maximum attempts", () => {
+    global.UrlFetchApp.fetch.mockReturnValue(httpResponse(429));
+
+    const result = postGroupMeMessageWithBotId_("BOT123", "Hello");
+
+    expect(global.UrlFetchApp.fetch).toHaveBeenCalledTimes(3);
+    expect(result).toMatchObject({ ok: false, status: 429, attempts: 3 });
+  });
+});
+
+describe("splitGroupMeMessage_", () => {
+  const length = (text) => Array.from(text).length;
+
+  test("returns short messages unchanged", () => {
+    expect(splitGroupMeMessage_("Hello\nWorld")).toEqual(["Hello\nWorld"]);
+  });
+
+  test("splits on line boundaries and numbers the parts", () => {
+    const lines = Array.from({ length: 30 }, (_, i) => `Line ${i + 1} ` + "x".repeat(40));
+    const parts = splitGroupMeMessage_(lines.join("\n"));
+
+    expect(parts.length).toBe(2);
+    expect(parts[0].startsWith("(1/2) Line 1 ")).toBe(true);
+    expect(parts[1].startsWith("(2/2) Line ")).toBe(true);
+    parts.forEach((p) => expect(length(p)).toBeLessThanOrEqual(1000));
+    expect(parts.map((p) => p.slice(6)).join("\n")).toBe(lines.join("\n"));
+  });
+
+  test("splits a very long single line on word boundaries, then inside words", () => {
+    const words = Array.from({ length: 300 }, (_, i) => "word" + i).join(" ");
+    const hugeWord = "y".repeat(2500);
+    const parts = splitGroupMeMessage_(words + " " + hugeWord);
+
+    parts.forEach((p) => expect(length(p)).toBeLessThanOrEqual(1000));
+    expect(parts[0].split(" ").pop()).toMatch(/^word\d+$/);
+    expect(parts.map((p) => p.replace(/^\(\d+\/\d+\) /, "")).join("").replace(/ /g, "")).toBe(
+      (words + hugeWord).replace(/ /g, "")
+    );
+  });
+
+  test("never splits multibyte characters and counts them as one character", () => {
+    const text = "🎉é漢".repeat(700); // 2100 code points, 2800 UTF-16 units
+    const parts = splitGroupMeMessage_(text);
+
+    expect(parts.length).toBe(3);
+    parts.forEach((p) => {
+      expect(length(p)).toBeLessThanOrEqual(1000);
+      expect(p).not.toMatch(/[\uD800-\uDBFF](?![\uDC00-\uDFFF])/);
+    });
+    expect(parts.map((p) => p.replace(/^\(\d\/3\) /, "")).join("")).toBe(text);
+  });
+
+  test("posts each part in order", () => {
+    global.Logger = { log: jest.fn() };
+    global.UrlFetchApp = { fetch: jest.fn(() => httpResponse(202)) };
+
+    const result = postGroupMeMessageWithBotId_("BOT", "z".repeat(1500));
+
+    expect(result).toMatchObject({ ok: true, attempts: 2 });
+    const texts = global.UrlFetchApp.fetch.mock.calls.map((c) => JSON.parse(c[1].payload).text);
+    expect(texts[0].startsWith("(1/2) ")).toBe(true);
+    expect(texts[1].startsWith("(2/2) ")).toBe(true);
+  });
+});
+
+describe("group registry", () => {
+  test("parseGroups_ fills defaults for optional fields", () => {
+    const groups = parseGroups_('[{"name":"East","sheetId":"S1","groupMeBotId":"B1"},{"sheetId":"S2"}]');
+    expect(groups).toEqual([
+      { name: "East", sheetId: "S1", emailSheet: "Emails", groupMeBotId: "B1", testGroupMeBotId: "", emailSendMode: "", calendarId: "", groupMeGroupId: "", signupFormUrl: "", webhooks: {} },
+      { name: "Group 2", sheetId: "S2", emailSheet: "Emails", groupMeBotId: "", testGroupMeBotId: "", emailSendMode: "", calendarId: "", groupMeGroupId: "", signupFormUrl: "", webhooks: {} },
+    ]);
+  });
+
+  test("parseGroups_ rejects invalid JSON", () => {
+    expect(() => parseGroups_("{nope")).toThrow("Script property GROUPS is not valid JSON");
+  });
+
+  test("sendNotif sends for each group and isolates a broken group", () => {
+    global.Session = { getScriptTimeZone: () => "UTC" };
+    global.Utilities = { formatDate: (date, tz, fmt) => fmt };
+    global.Logger = { log: jest.fn() };
+    global.MailApp = { sendEmail: jest.fn(), getRemainingDailyQuota: () => 100 };
+    global.UrlFetchApp = { fetch: jest.fn(() => httpResponse(202)) };
+    mockScriptProperties({
+      GROUPS: JSON.stringify([
+        { name: "Broken", sheetId: "BAD", groupMeBotId: "B0" },
+        { name: "West", sheetId: "WEST", emailSheet: "Members", groupMeBotId: "B2" },
+      ]),
+    });
+    mockSpreadsheets({
+      BAD: { Schedule: [["Date", "Description"]] },
+      WEST: {
+        Schedule: [SCHEDULE_HEADER, [makeDateDaysFromNow(2), "Study", "Park", "Pizza", "Kim"]],
+        Members: [["Email"], ["w@test.com"]],
+      },
+    });
+
+    expect(() => sendNotif()).toThrow(/Reminder failed for 1 of 2 group\(s\)\. Broken: /);
+
+    expect(global.MailApp.sendEmail).toHaveBeenCalledTimes(1);
+    const payload = global.MailApp.sendEmail.mock.calls[0][0];
+    expect(payload.to).toBe("w@test.com");
+    expect(payload.subject).toBe("Reminder for West on MM-dd");
+
+    expect(global.UrlFetchApp.fetch).toHaveBeenCalledTimes(1);
+    const posted = JSON.parse(global.UrlFetchApp.fetch.mock.calls[0][1].payload);
+    expect(posted.bot_id).toBe("B2");
+    expect(posted.text).toContain("https://docs.google.com/spreadsheets/d/WEST/");
+  });
+});
+
+describe("send log", () => {
+  let sheets;
+
+  beforeEach(() => {
+    global.Session = { getScriptTimeZone: () => "UTC" };
+    global.Utilities = { formatDate: isoFormatDate };
+    global.Logger = { log: jest.fn() };
+    global.MailApp = { sendEmail: jest.fn(), getRemainingDailyQuota: () => 100 };
+    global.UrlFetchApp = { fetch: jest.fn(() => httpResponse(202)) };
+    mockScriptProperties({
+      SHEET_ID: "S1",
+      GROUPME_BOT_ID: "BOT",
+      TEST_GROUPME_BOT_ID: "TESTBOT",
+      TEST_EMAIL_RECIPIENTS: "t@test.com",
+      SCHEDULE_WARNING_ROWS: "0",
+    });
+    sheets = {
+      Schedule: [SCHEDULE_HEADER, [makeDateDaysFromNow(2), "Study", "Park", "Pizza", "Kim"]],
+      Emails: [["Email"], ["a@test.com"], ["b@test.com"]],
+    };
+    mockSpreadsheets({ S1: sheets });
+  });
+
+  test("creates SendLog and records each channel", () => {
+    sendNotif();
+
+    expect(sheets.SendLog[0]).toEqual([
+      "Timestamp", "Group", "Mode", "Row Date", "Channel", "Recipients", "Outcome", "Variant", "Delivered",
+    ]);
+    expect(sheets.SendLog.slice(1).map((r) => [r[1], r[2], r[4], r[5], r[6], r[7]])).toEqual([
+      ["Mendez/Williams City Group", "prod", "email", 2, "sent", "weekly"],
+      ["Mendez/Williams City Group", "prod", "groupme", "", "sent", "weekly"],
+    ]);
+  });
+
+  test("resumes a partially posted GroupMe message from the failed part", () => {
+    sheets.Schedule[1] = [makeDateDaysFromNow(2), "word ".repeat(300).trim(), "Park", "Pizza", "Kim"];
+    global.UrlFetchApp.fetch
+      .mockReturnValueOnce(httpResponse(202))
+      .mockReturnValueOnce(httpResponse(404, "nope"));
+
+    expect(() => sendNotif()).toThrow(/Part 2 of 2/);
+    sendNotif();
+
+    const texts = global.UrlFetchApp.fetch.mock.calls.map((c) => JSON.parse(c[1].payload).text.slice(0, 5));
+    expect(texts).toEqual(["(1/2)", "(2/2)", "(2/2)"]);
+    expect(sheets.SendLog.slice(1).filter((r) => r[4] === "groupme").map((r) => [r[6].slice(0, 7), r[8]])).toEqual([
+      ["partial", "1/2"],
+      ["sent", ""],
+    ]);
+  });
+
+  test("a partial individual email send is retried only for members not yet emailed", () => {
+    sheets.Emails.push(["c@test.com"]);
+    global.PropertiesService.getScriptProperties().setProperty("EMAIL_SEND_MODE", "individual");
+    global.MailApp.sendEmail.mockImplementationOnce(() => {}).mockImplementationOnce(() => {
+      throw new Error("Mail service unavailable");
+    });
+
+    expect(() => sendNotif()).toThrow(/Email failed after 1 of 3 recipients/);
+    sendNotif();
+
+    expect(global.MailApp.sendEmail.mock.calls.map((c) => c[0].to)).toEqual([
+      "a@test.com", "b@test.com", "b@test.com", "c@test.com",
+    ]);
+    expect(sheets.SendLog.slice(1).filter((r) => r[4] === "email").map((r) => [r[5], r[6].slice(0, 7), r[8]])).toEqual([
+      ["", "partial", "a@test.com"],
+      [2, "sent", ""],
+    ]);
+  });
+
+  test("skips channels already sent for the same row date in prod mode", () => {
+    sendNotif();
+    sendNotif();
+
+    expect(global.MailApp.sendEmail).toHaveBeenCalledTimes(1);
+    expect(global.UrlFetchApp.fetch).toHaveBeenCalledTimes(1);
+    expect(sheets.SendLog.slice(3).map((r) => r[6])).toEqual([
+      "skipped (already sent)",
+      "skipped (already sent)",
+    ]);
+  });
+
+  test("force and test mode bypass the duplicate check", () => {
+    sendNotif();
+    forceSendNotif();
+    testSendNotif();
+
+    expect(global.MailApp.sendEmail).toHaveBeenCalledTimes(3);
+    expect(global.UrlFetchApp.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test("still emails when GroupMe fails and reports per-channel results", () => {
+    global.UrlFetchApp.fetch.mockReturnValue(httpResponse(404, "bot not found"));
+
+    expect(() => sendNotif()).toThrow(/groupme failed: GroupMe post failed with HTTP 404/);
+
+    expect(global.MailApp.sendEmail).toHaveBeenCalledTimes(1);
+    expect(sheets.SendLog.slice(1).map((r) => r[6])).toEqual([
+      "sent",
+      "failed: GroupMe post failed with HTTP 404: bot not found",
+    ]);
+  });
+
+  test("still posts to GroupMe when email fails", () => {
+    global.MailApp.sendEmail.mockImplementation(() => { throw new Error("Service invoked too many times"); });
+
+    expect(() => sendNotif()).toThrow(/email failed: Service invoked too many times/);
+    expect(global.UrlFetchApp.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test("sends weekly and day-of reminders on their cadence days only, logged per variant", () => {
+    mockScriptProperties({ SHEET_ID: "S1", GROUPME_BOT_ID: "BOT", SCHEDULE_WARNING_ROWS: "0", REMINDER_CADENCES: "6,0" });
+    const meeting = makeDateDaysFromNow(6);
+    sheets.Schedule[1][0] = meeting;
+
+    sendNotif();
+    sendNotif(); // same day: already sent
+    expect(global.MailApp.sendEmail).toHaveBeenCalledTimes(1);
+    expect(global.MailApp.sendEmail.mock.calls[0][0].subject).toMatch(/^Reminder for /);
+
+    sheets.Schedule[1][0] = makeDateDaysFromNow(3); // no cadence matches
+    sendNotif();
+    expect(global.MailApp.sendEmail).toHaveBeenCalledTimes(1);
+
+    sheets.Schedule[1][0] = makeDateDaysFromNow(0);
+    sendNotif();
+    expect(global.MailApp.sendEmail).toHaveBeenCalledTimes(2);
+    expect(global.MailApp.sendEmail.mock.calls[1][0].subject).toMatch(/^Today: Mendez\/Williams City Group/);
+    const payload = JSON.parse(global.UrlFetchApp.fetch.mock.calls[1][1].payload);
+    expect(payload.text).toMatch(/^Today: /);
+    expect(sheets.SendLog.slice(1).filter((r) => r[6] === "sent").map((r) => r[7])).toEqual([
+      "weekly", "weekly", "day-of", "day-of",
+    ]);
+  });
+
+  test("getReminderCadences_ ignores invalid and repeated entries", () => {
+    mockScriptProperties({ REMINDER_CADENCES: "6, 0, x, -1, 6" });
+    expect(getReminderCadences_()).toEqual([6, 0]);
+  });
+
+  test("a cadence beyond the lookahead window still sends instead of reporting an empty schedule", () => {
+    mockScriptProperties({
+      SHEET_ID: "S1", GROUPME_BOT_ID: "BOT", SCHEDULE_WARNING_ROWS: "0", REMINDER_CADENCES: "10,0", ADMIN_EMAILS: "admin@test.com",
+    });
+    sheets.Schedule[1][0] = makeDateDaysFromNow(10);
+
+    sendNotif();
+
+    expect(global.MailApp.sendEmail).toHaveBeenCalledTimes(1);
+    expect(global.MailApp.sendEmail.mock.calls[0][0].subject).toMatch(/^Reminder for /);
+    expect(global.UrlFetchApp.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test("sends a reminder for each row a cadence matches on the same day", () => {
+    mockScriptProperties({ SHEET_ID: "S1", GROUPME_BOT_ID: "BOT", SCHEDULE_WARNING_ROWS: "0", REMINDER_CADENCES: "6,0" });
+    sheets.Schedule = [
+      SCHEDULE_HEADER,
+      [makeDateDaysFromNow(6), "Next week", "Hall", "Soup", "Bo"],
+      [makeDateDaysFromNow(0), "Tonight", "Park", "Pizza", "Kim"],
+    ];
+
+    sendNotif();
+    sendNotif(); // both already sent
+
+    expect(global.MailApp.sendEmail.mock.calls.map((c) => c[0].subject)).toEqual([
+      expect.stringMatching(/^Today: /),
+      expect.stringMatching(/^Reminder for /),
+    ]);
+    expect(global.UrlFetchApp.fetch).toHaveBeenCalledTimes(2);
+    expect(sheets.SendLog.slice(1).filter((r) => r[6] === "sent").map((r) => [r[4], r[7]])).toEqual([
+      ["email", "day-of"], ["groupme", "day-of"], ["email", "weekly"], ["groupme", "weekly"],
+    ]);
+  });
+
+  test("the reminder row is the earliest window row even when the sheet is out of order", () => {
+    mockScriptProperties({ SHEET_ID: "S1", GROUPME_BOT_ID: "BOT", SCHEDULE_WARNING_ROWS: "0" });
+    const sooner = makeDateDaysFromNow(2);
+    sheets.Schedule = [
+      SCHEDULE_HEADER,
+      [makeDateDaysFromNow(5), "Later", "Hall", "Soup", "Bo"],
+      [sooner, "Sooner", "Park", "Pizza", "Kim"],
+    ];
+
+    const selection = selectReminderRow_(sheets.Schedule, undefined, 7, []);
+    expect(selection.row.description).toBe("Sooner");
+    expect(selection.rows[0]).toBe(selection.row);
+
+    sendNotif();
+    expect(sheets.SendLog[1][3]).toBe(sooner.toISOString().slice(0, 10));
+  });
+
+  test("selectReminderRow_ honors the lookahead window without cadences", () => {
+    const data = [SCHEDULE_HEADER, [makeDateDaysFromNow(10), "Later", "Park", "", ""]];
+    expect(selectReminderRow_(data, undefined, 7, []).row).toBeNull();
+    const selection = selectReminderRow_(data, undefined, 14, []);
+    expect(selection.row.description).toBe("Later");
+    expect(selection.variant).toBe("weekly");
+  });
+
+  test("hasPriorSend_ ignores failed and test entries", () => {
+    const date = new Date("2025-01-12T12:00:00Z");
+    const log = [
+      ["Timestamp", "Group", "Mode", "Row Date", "Channel", "Recipients", "Outcome"],
+      [new Date(), "G", "test", date, "email", 1, "sent"],
+      [new Date(), "G", "prod", date, "email", "", "failed: quota"],
+    ];
+    expect(hasPriorSend_(log, "G", "2025-01-12", "email")).toBe(false);
+
+    log.push([new Date(), "G", "prod", date, "email", 1, "sent"]);
+    expect(hasPriorSend_(log, "G", "2025-01-12", "email")).toBe(true);
+    expect(hasPriorSend_(log, "G", "2025-01-12", "groupme")).toBe(false);
+  });
+});
+
+describe("notification channels", () => {
+  let sheets;
+
+  function posts() {
+    return global.UrlFetchApp.fetch.mock.calls.map(([url, options]) => [url, JSON.parse(options.payload)]);
+  }
+
+  beforeEach(() => {
+    global.Session = { getScriptTimeZone: () => "UTC" };
+    global.Utilities = { formatDate: isoFormatDate, sleep: jest.fn() };
+    global.Logger = { log: jest.fn() };
+    global.MailApp = { sendEmail: jest.fn(), getRemainingDailyQuota: () => 100 };
+    global.UrlFetchApp = { fetch: jest.fn(() => httpResponse(204)) };
+    sheets = {
+      Schedule: [SCHEDULE_HEADER, [makeDateDaysFromNow(2), "Study", "Park", "Pizza", "Kim"]],
+      Emails: [["Email"], ["a@test.com"]],
+    };
+    mockSpreadsheets({ S1: sheets });
+  });
+
+  test("sends the reminder to every configured webhook channel and logs each", () => {
+    mockScriptProperties({
+      SHEET_ID: "S1",
+      GROUPME_BOT_ID: "BOT",
+      SCHEDULE_WARNING_ROWS: "0",
+      WEBHOOK_URL: "https://hooks.test/json",
+      SLACK_WEBHOOK_URL: "https://hooks.test/slack",
+      DISCORD_WEBHOOK_URL: "https://hooks.test/discord",
+      SMS_WEBHOOK_URL: "https://hooks.test/sms",
+      SMS_RECIPIENTS: "+15550001, +15550002",
+      TEST_SLACK_WEBHOOK_URL: "https://hooks.test/slack-test",
+    });
+    sendNotif();
+
+    const sent = posts();
+    expect(sent.map(([url]) => url)).toEqual([
+      "https://api.groupme.com/v3/bots/post",
+      "https://hooks.test/json",
+      "https://hooks.test/slack",
+      "https://hooks.test/discord",
+      "https://hooks.test/sms",
+    ]);
+    const text = sent[0][1].text;
+    expect(sent[1][1]).toMatchObject({
+      group: "Mendez/Williams City Group",
+      variant: "weekly",
+      subject: "Reminder for Mendez/Williams City Group on MM-dd",
+      text,
+    });
+    expect(sent[1][1].dates).toEqual([isoFormatDate(sheets.Schedule[1][0], "UTC", "yyyy-MM-dd")]);
+    expect(sent[2][1]).toEqual({ text });
+    expect(sent[3][1]).toEqual({ content: text });
+    expect(sent[4][1]).toEqual({
+      to: ["+15550001", "+15550002"],
+      message: "Reminder for Mendez/Williams City Group on MM-dd\nhttps://docs.google.com/spreadsheets/d/S1/edit?usp=sharing#gid=0&range=2:2",
+    });
+    expect(sheets.SendLog.slice(1).map((r) => [r[4], r[6]])).toEqual([
+      ["email", "sent"],
+      ["groupme", "sent"],
+      ["webhook", "sent"],
+      ["slack", "sent"],
+      ["discord", "sent"],
+      ["sms", "sent"],
+    ]);
+  });
+
+  test("uses per-group webhooks in prod and TEST_ URLs in test mode, isolating a failing channel", () => {
+    mockScriptProperties({
+      GROUPS: JSON.stringify([
+        { name: "East", sheetId: "S1", groupMeBotId: "B1", webhooks: { slack: "https://hooks.test/east", discord: "https://hooks.test/bad" } },
+      ]),
+      TEST_GROUPME_BOT_ID: "TESTBOT",
+      TEST_EMAIL_RECIPIENTS: "t@test.com",
+      TEST_DISCORD_WEBHOOK_URL: "https://hooks.test/discord-test",
+      SCHEDULE_WARNING_ROWS: "0",
+    });
+    global.UrlFetchApp.fetch.mockImplementation((url) => httpResponse(url.endsWith("/bad") ? 404 : 200, "nope"));
+
+    expect(() => sendNotif()).toThrow(/East: discord failed: Discord post failed with HTTP 404: nope/);
+    expect(posts().map(([url]) => url)).toEqual([
+      "https://api.groupme.com/v3/bots/post",
+      "https://hooks.test/east",
+      "https://hooks.test/bad",
+    ]);
+
+    global.UrlFetchApp.fetch.mockClear();
+    testSendNotif();
+    expect(posts().map(([url]) => url)).toEqual([
+      "https://api.groupme.com/v3/bots/post",
+      "https://hooks.test/discord-test",
+    ]);
+  });
+
+  test("resumes a partially posted Discord message from the failed part", () => {
+    mockScriptProperties({
+      SHEET_ID: "S1",
+      GROUPME_BOT_ID: "BOT",
+      SCHEDULE_WARNING_ROWS: "0",
+      DISCORD_WEBHOOK_URL: "https://hooks.test/discord",
+    });
+    sheets.Schedule[1] = [makeDateDaysFromNow(2), "word ".repeat(500).trim(), "Park", "Pizza", "Kim"];
+    let discordPosts = 0;
+    global.UrlFetchApp.fetch.mockImplementation((url) =>
+      url.endsWith("/discord") && ++discordPosts === 2 ? httpResponse(404, "nope") : httpResponse(204)
+    );
+
+    expect(() => sendNotif()).toThrow(/discord failed: Part 2 of 2/);
+    sendNotif();
+
+    const discord = posts().filter(([url]) => url.endsWith("/discord")).map(([, payload]) => payload.content);
+    expect(discord).toHaveLength(3);
+    expect(discord[0]).not.toBe(discord[1]);
+    expect(discord[2]).toBe(discord[1]);
+    expect(sheets.SendLog.slice(1).filter((r) => r[4] === "discord").map((r) => [r[6].slice(0, 7), r[8]])).toEqual([
+      ["partial", "1/2"],
+      ["sent", ""],
+    ]);
+  });
+
+  test("previewNotif reports webhook channels with masked URLs", () => {
+    mockScriptProperties({ SHEET_ID: "S1", GROUPME_BOT_ID: "BOT", SLACK_WEBHOOK_URL: "https://hooks.test/secret-abcd" });
+    const [report] = previewNotif();
+
+    expect(global.UrlFetchApp.fetch).not.toHaveBeenCalled();
+    expect(report.slack).toEqual({ status: "would send", url: "****abcd" });
+    expect(report.discord).toBeUndefined();
+    expect(Object.fromEntries(sheets.Preview.slice(1))["Slack Status"]).toBe("would send");
+  });
+});
+
+describe("previewNotif", () => {
+  let sheets;
+
+  beforeEach(() => {
+    global.Session = { getScriptTimeZone: () => "UTC" };
+    global.Utilities = { formatDate: isoFormatDate };
+    global.Logger = { log: jest.fn() };
+    global.MailApp = { sendEmail: jest.fn(), getRemainingDailyQuota: () => 100 };
+    global.UrlFetchApp = { fetch: jest.fn(() => httpResponse(202)) };
+    mockScriptProperties({ SHEET_ID: "S1", GROUPME_BOT_ID: "BOT-SECRET-1234" });
+    sheets = {
+      Schedule: [SCHEDULE_HEADER, [makeDateDaysFromNow(2), "Study", "Park", "Pizza", "Kim"]],
+      Emails: [["Email"], ["a@test.com"], ["oops"]],
+    };
+    mockSpreadsheets({ S1: sheets });
+  });
+
+  test("renders and resolves everything without sending or logging sends", () => {
+    const [report] = previewNotif();
+
+    expect(global.MailApp.sendEmail).not.toHaveBeenCalled();
+    expect(global.UrlFetchApp.fetch).not.toHaveBeenCalled();
+    expect(sheets.SendLog).toBeUndefined();
+
+    expect(report.subject).toBe("Reminder for Mendez/Williams City Group on MM-dd");
+    expect(report.message).toContain("Location: Park");
+    expect(report.email).toEqual({
+      status: "would send",
+      sendMode: "to",
+      recipients: ["a@test.com"],
+      invalidRecipients: ["oops"],
+    });
+    expect(report.groupMe).toEqual({ status: "would send", botId: "****1234" });
+
+    const fields = Object.fromEntries(sheets.Preview.slice(1));
+    expect(fields.Subject).toBe(report.subject);
+    expect(fields["Email Recipients"]).toBe("a@test.com");
+  });
+
+  test("reports configuration errors instead of throwing", () => {
+    mockScriptProperties({ SHEET_ID: "S1" });
+    const [report] = previewNotif();
+    expect(report.groupMe.status).toMatch(/^error: Missing GroupMe bot id/);
+  });
+});
+
+describe("failure alerts", () => {
+  beforeEach(() => {
+    global.Session = { getScriptTimeZone: () => "UTC" };
+    global.Utilities = { formatDate: isoFormatDate, sleep: jest.fn() };
+    global.Logger = { log: jest.fn() };
+    global.MailApp = { sendEmail: jest.fn(), getRemainingDailyQuota: () => 100 };
+    global.UrlFetchApp = { fetch: jest.fn(() => httpResponse(202)) };
+    mockSpreadsheets({});
+  });
+
+  test("emails admins with error, stack, mode and base date, then rethrows", () => {
+    mockScriptProperties({ ADMIN_EMAILS: "admin@test.com, lead@test.com" });
+
+    expect(() => sendNotif()).toThrow("Missing script property SHEET_ID");
+
+    expect(global.MailApp.sendEmail).toHaveBeenCalledTimes(1);
+    const alert = global.MailApp.sendEmail.mock.calls[0][0];
+    expect(alert.to).toBe("admin@test.com,lead@test.com");
+    expect(alert.subject).toBe("Community group reminder failed: sendNotif");
+    expect(alert.body).toContain("Error: Missing script property SHEET_ID");
+    expect(alert.body).toContain("Mode: prod");
+    expect(alert.body).toMatch(/Base date: \d{4}-\d{2}-\d{2}/);
+    expect(alert.body).toContain("at getSheetId_");
+    expect(global.UrlFetchApp.fetch).not.toHaveBeenCalled();
+  });
+
+  test("optionally posts a short note to the test GroupMe bot", () => {
+    mockScriptProperties({ ALERT_TEST_GROUPME: "true", TEST_GROUPME_BOT_ID: "TESTBOT", TEST_BASE_DATE: "1/10/2025" });
+
+    expect(() => testSendNotif()).toThrow("Missing script property SHEET_ID");
+
+    const payload = JSON.parse(global.UrlFetchApp.fetch.mock.calls[0][1].payload);
+    expect(payload).toEqual({ bot_id: "TESTBOT", text: expect.stringMatching(/^testSendNotif failed: Missing script property SHEET_ID/) });
+  });
+
+  test("a failing alert does not mask the original error", () => {
+    mockScriptProperties({ ADMIN_EMAILS: "admin@test.com" });
+    global.MailApp.sendEmail.mockImplementation(() => { throw new Error("quota"); });
+
+    expect(() => sendNotif()).toThrow("Missing script property SHEET_ID");
+    expect(global.Logger.log).toHaveBeenCalledWith("Failed to send failure alert email: quota");
+  });
+
+  test("test entry points reject an unparseable TEST_BASE_DATE instead of using today", () => {
+    mockScriptProperties({ ADMIN_EMAILS: "admin@test.com", TEST_BASE_DATE: "2025/01/12" });
+
+    expect(() => testSendNotif()).toThrow('Invalid TEST_BASE_DATE "2025/01/12"');
+    expect(() => testSendOpenSlotsDigest()).toThrow('Invalid TEST_BASE_DATE "2025/01/12"');
+    expect(() => testSendDutyNudges()).toThrow('Invalid TEST_BASE_DATE "2025/01/12"');
+
+    const alert = global.MailApp.sendEmail.mock.calls[0][0];
+    expect(alert.body).toContain("Base date: 2025/01/12 (unparseable)");
+  });
+});
+
+describe("organizer notices", () => {
+  let sheets;
+
+  beforeEach(() => {
+    global.Session = { getScriptTimeZone: () => "UTC" };
+    global.Utilities = { formatDate: isoFormatDate };
+    global.Logger = { log: jest.fn() };
+    global.MailApp = { sendEmail: jest.fn(), getRemainingDailyQuota: () => 100 };
+    global.UrlFetchApp = { fetch: jest.fn(() => httpResponse(202)) };
+    sheets = {
+      Schedule: [SCHEDULE_HEADER, [makeDateDaysFromNow(20), "Later", "Park", "Pizza", "Kim"]],
+      Emails: [["Email"], ["a@test.com"]],
+    };
+    mockSpreadsheets({ S1: sheets });
+  });
+
+  function props(extra) {
+    mockScriptProperties(Object.assign({ SHEET_ID: "S1", GROUPME_BOT_ID: "BOT", ADMIN_EMAILS: "admin@test.com" }, extra));
+  }
+
+  test("by default asks admins to fill in the sheet instead of emailing the group", () => {
+    props({ SCHEDULE_WARNING_ROWS: "0" });
+    sendNotif();
+
+    expect(global.UrlFetchApp.fetch).not.toHaveBeenCalled();
+    expect(global.MailApp.sendEmail).toHaveBeenCalledTimes(1);
+    const notice = global.MailApp.sendEmail.mock.calls[0][0];
+    expect(notice.to).toBe("admin@test.com");
+    expect(notice.subject).toBe("No upcoming event scheduled for Mendez/Williams City Group");
+    expect(notice.body).toContain("https://docs.google.com/spreadsheets/d/S1/");
+  });
+
+  test("skip policy sends nothing and send policy keeps the old group message", () => {
+    props({ SCHEDULE_WARNING_ROWS: "0", EMPTY_SCHEDULE_POLICY: "skip" });
+    sendNotif();
+    expect(global.MailApp.sendEmail).not.toHaveBeenCalled();
+    expect(global.UrlFetchApp.fetch).not.toHaveBeenCalled();
+
+    props({ SCHEDULE_WARNING_ROWS: "0", EMPTY_SCHEDULE_POLICY: "send" });
+    sendNotif();
+    expect(global.MailApp.sendEmail.mock.calls[0][0].htmlBody).toBe("No upcoming events found.");
+    expect(global.UrlFetchApp.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test("warns organizers once a day when few future rows remain", () => {
+    props({ EMPTY_SCHEDULE_POLICY: "skip" });
+    sendNotif();
+    sendNotif();
+
+    expect(global.MailApp.sendEmail).toHaveBeenCalledTimes(1);
+    const warning = global.MailApp.sendEmail.mock.calls[0][0];
+    expect(warning.subject).toBe("Schedule for Mendez/Williams City Group runs out in 2 week(s)");
+    expect(warning.body).toContain("has only 1 upcoming row(s)");
+  });
+
+  test("warns that the schedule has run out when no future rows remain, whatever the policy", () => {
+    sheets.Schedule = [SCHEDULE_HEADER, [makeDateDaysFromNow(-3), "Past", "Park", "Pizza", "Kim"]];
+    props({ EMPTY_SCHEDULE_POLICY: "send" });
+    sendNotif();
+
+    const subjects = global.MailApp.sendEmail.mock.calls.map((c) => c[0].subject);
+    expect(subjects).toContain("Schedule for Mendez/Williams City Group has run out");
+    expect(global.MailApp.sendEmail.mock.calls.find((c) => c[0].to === "admin@test.com")[0].body)
+      .toContain("has no upcoming rows");
+  });
+});
+
+describe("duty nudges", () => {
+  let sheets;
+
+  beforeEach(() => {
+    global.Session = { getScriptTimeZone: () => "UTC" };
+    global.Utilities = { formatDate: isoFormatDate, sleep: jest.fn() };
+    global.Logger = { log: jest.fn() };
+    global.MailApp = { sendEmail: jest.fn(), getRemainingDailyQuota: () => 100 };
+    global.UrlFetchApp = { fetch: jest.fn(() => httpResponse(202)) };
+    mockScriptProperties({ SHEET_ID: "S1", GROUPME_BOT_ID: "BOT" });
+    sheets = {
+      Schedule: [
+        [...SCHEDULE_HEADER, "Host"],
+        [makeDateDaysFromNow(2), "Study", "Park", "Pizza", "Ann & Zed", "Bob"],
+      ],
+      Emails: [
+        ["Email", "Name", "Channel", "GroupMe User ID"],
+        ["ann@test.com", "Ann Lee", "email", ""],
+        ["bob@test.com", "Bob", "groupme", "555"],
+      ],
+    };
+    mockSpreadsheets({ S1: sheets });
+  });
+
+  test("splitAssigneeNames_ handles common separators", () => {
+    expect(splitAssigneeNames_("Ann & Bob, Cy and Dee / Anderson")).toEqual(["Ann", "Bob", "Cy", "Dee", "Anderson"]);
+  });
+
+  test("findMemberByName_ prefers full names and accepts unique first names", () => {
+    const members = [{ name: "Kim Lee" }, { name: "Sam Ray" }, { name: "Sam Fox" }];
+    expect(findMemberByName_(members, "kim")).toBe(members[0]);
+    expect(findMemberByName_(members, "Sam Fox")).toBe(members[2]);
+    expect(findMemberByName_(members, "Sam")).toBeNull();
+  });
+
+  test("emails or @mentions each assigned person once per row", () => {
+    sendDutyNudges();
+    sendDutyNudges();
+
+    expect(global.MailApp.sendEmail).toHaveBeenCalledTimes(1);
+    const email = global.MailApp.sendEmail.mock.calls[0][0];
+    expect(email.to).toBe("ann@test.com");
+    expect(email.subject).toBe("You're on childcare duty for Mendez/Williams City Group on MM-dd");
+    expect(email.htmlBody).toContain("Hi Ann Lee,");
+
+    expect(global.UrlFetchApp.fetch).toHaveBeenCalledTimes(1);
+    const payload = JSON.parse(global.UrlFetchApp.fetch.mock.calls[0][1].payload);
+    expect(payload.text).toMatch(/^@Bob heads-up: you're on hosting \/ food for /);
+    expect(payload.attachments).toEqual([{ type: "mentions", user_ids: ["555"], loci: [[0, 4]] }]);
+
+    expect(global.Logger.log).toHaveBeenCalledWith(expect.stringContaining("duty assignee(s) for Mendez/Williams City Group: Zed"));
+  });
+
+  test("never nudges members who opted out", () => {
+    sheets.Emails[0].push("Active");
+    sheets.Emails[1].push("no");
+    sheets.Emails[2].push("yes");
+
+    const duties = getDutyAssignments_(
+      { childcareDuty: "Ann & Zed", host: "Bob" },
+      parseMembers_(sheets.Emails)
+    );
+    expect(duties.assignments.map((a) => a.member.email)).toEqual(["bob@test.com"]);
+    expect(duties.optedOut).toEqual(["Ann"]);
+    expect(duties.unmatched).toEqual(["Zed"]);
+
+    sendDutyNudges();
+    expect(global.MailApp.sendEmail).not.toHaveBeenCalled();
+    expect(global.UrlFetchApp.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test("nudges the earliest meeting in the window on an out-of-order sheet, like the reminder", () => {
+    sheets.Schedule = [
+      [...SCHEDULE_HEADER, "Host"],
+      [makeDateDaysFromNow(3), "later", "Park", "Pizza", "Zed", "Zed"],
+      [makeDateDaysFromNow(1), "earlier", "Park", "Pizza", "Ann", "Zed"],
+    ];
+
+    expect(getNextUpcomingRow_(sheets.Schedule).description).toBe("earlier");
+    sendDutyNudges();
+
+    expect(global.MailApp.sendEmail).toHaveBeenCalledTimes(1);
+    expect(global.MailApp.sendEmail.mock.calls[0][0].to).toBe("ann@test.com");
+  });
+});
+
+describe("open slots digest", () => {
+  let sheets;
+
+  beforeEach(() => {
+    global.Session = { getScriptTimeZone: () => "UTC" };
+    global.Utilities = { formatDate: isoFormatDate, sleep: jest.fn() };
+    global.Logger = { log: jest.fn() };
+    global.MailApp = { sendEmail: jest.fn(), getRemainingDailyQuota: () => 100 };
+    global.UrlFetchApp = { fetch: jest.fn(() => httpResponse(202)) };
+    mockScriptProperties({ SHEET_ID: "S1", GROUPME_BOT_ID: "BOT", OPEN_SLOTS_ROWS: "3" });
+    sheets = {
+      Schedule: [
+        SCHEDULE_HEADER,
+        [makeDateDaysFromNow(-7), "Past", "Park", "", ""],
+        [makeDateDaysFromNow(14), "Later", "Hall", "Tacos", ""],
+        [makeDateDaysFromNow(3), "Soon", "Park", "", "  "],
+        [makeDateDaysFromNow(7), "Off", "No Group", "", ""],
+        [makeDateDaysFromNow(10), "Full", "Hall", "Soup", "Kim"],
+        [makeDateDaysFromNow(21), "Beyond", "Hall", "", ""],
+      ],
+      Emails: [["Email"], ["a@test.com"]],
+    };
+    mockSpreadsheets({ S1: sheets });
+  });
+
+  test("findOpenSlots_ scans the next rows in date order and skips No Group rows", () => {
+    const slots = findOpenSlots_(sheets.Schedule, undefined, 4);
+    expect(slots.map((s) => [s.row.description, s.missing])).toEqual([
+      ["Soon", ["Food Theme", "Childcare Duty"]],
+      ["Later", ["Childcare Duty"]],
+    ]);
+    expect(findOpenSlots_(sheets.Schedule, undefined, 3).map((s) => s.row.description)).toEqual(["Soon"]);
+  });
+
+  test("sends the still-needed summary once a day with row sign-up links", () => {
+    mockScriptProperties({ SHEET_ID: "S1", GROUPME_BOT_ID: "BOT", OPEN_SLOTS_ROWS: "4" });
+    sendOpenSlotsDigest();
+    sendOpenSlotsDigest();
+
+    expect(global.MailApp.sendEmail).toHaveBeenCalledTimes(1);
+    const email = global.MailApp.sendEmail.mock.calls[0][0];
+    expect(email.to).toBe("a@test.com");
+    expect(email.subject).toBe("Still needed for Mendez/Williams City Group: 3 open slot(s)");
+    expect(email.htmlBody).toContain("Food Theme, Childcare Duty (<a href=\"https://docs.google.com/spreadsheets/d/S1/edit?usp=sharing#gid=0&amp;range=4:4\">sign up</a>)");
+
+    expect(global.UrlFetchApp.fetch).toHaveBeenCalledTimes(1);
+    const text = JSON.parse(global.UrlFetchApp.fetch.mock.calls[0][1].payload).text;
+    expect(text.split("\n").filter((line) => line.startsWith("- "))).toEqual([
+      "- MM-dd: Food Theme, Childcare Duty",
+      "- MM-dd: Childcare Duty",
+    ]);
+    expect(sheets.SendLog.slice(1).map((r) => [r[4], r[6]])).toEqual([
+      ["open-slots-email", "sent"],
+      ["open-slots-groupme", "sent"],
+      ["open-slots-email", "skipped (already sent)"],
+      ["open-slots-groupme", "skipped (already sent)"],
+    ]);
+  });
+
+  test("sends nothing when every slot is filled", () => {
+    sheets.Schedule = [SCHEDULE_HEADER, [makeDateDaysFromNow(3), "Soon", "Park", "Pizza", "Kim"]];
+    mockSpreadsheets({ S1: sheets });
+    sendOpenSlotsDigest();
+
+    expect(global.MailApp.sendEmail).not.toHaveBeenCalled();
+    expect(global.UrlFetchApp.fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe("calendar events", () => {
+  function utcFormatDate(date, tz, fmt) {
+    if (fmt === "yyyyMMdd'T'HHmmss'Z'") return date.toISOString().replace(/[-:]/g, "").slice(0, 15) + "Z";
+    return isoFormatDate(date, tz, fmt);
+  }
+
+  function makeFakeCalendar(events) {
+    return {
+      getEvents: jest.fn(() => events.filter((e) => !e.deleted)),
+      createEvent: jest.fn((title, start, end, options) => {
+        const event = makeFakeEvent(title, start, end, options, null);
+        events.push(event);
+        return event;
+      }),
+    };
+  }
+
+  function makeFakeEvent(title, start, end, options, tag) {
+    const event = { title, start, end, description: options.description, location: options.location, tag };
+    Object.assign(event, {
+      getTitle: () => event.title,
+      getDescription: () => event.description,
+      getLocation: () => event.location,
+      getStartTime: () => event.start,
+      getEndTime: () => event.end,
+      getTag: () => event.tag,
+      setTag: (key, value) => { event.tag = value; },
+      setTitle: jest.fn((v) => { event.title = v; }),
+      setDescription: jest.fn((v) => { event.description = v; }),
+      setLocation: jest.fn((v) => { event.location = v; }),
+      setTime: jest.fn((s, e) => { event.start = s; event.end = e; }),
+      deleteEvent: jest.fn(() => { event.deleted = true; }),
+    });
+    return event;
+  }
+
+  beforeEach(() => {
+    global.Session = { getScriptTimeZone: () => "UTC" };
+    global.Utilities = {
+      formatDate: utcFormatDate,
+      parseDate: (text) => new Date(text.replace(" ", "T") + ":00Z"),
+      newBlob: jest.fn((data, contentType, name) => ({ data, contentType, name })),
+      sleep: jest.fn(),
+    };
+    global.Logger = { log: jest.fn() };
+  });
+
+  test("buildIcsEvent_ builds an escaped event at the configured times", () => {
+    mockScriptProperties({ EVENT_START_TIME: "19:00" });
+    const row = makeScheduleRow(new Date("2030-01-12T00:00:00Z"), "Study; night", "Park, Pavilion", "Pizza", "Ann");
+    const ics = buildIcsEvent_(row, { groupName: "City Group", signupUrl: "https://sheet" });
+
+    expect(ics).toContain("UID:2030-01-12-city-group@community-group-google-scripts\r\n");
+    expect(ics).toContain("DTSTART:20300112T190000Z\r\n");
+    expect(ics).toContain("DTEND:20300112T203000Z\r\n");
+    expect(ics).toContain("SUMMARY:City Group: Study\\; night\r\n");
+    expect(ics).toContain("LOCATION:Park\\, Pavilion\r\n");
+    expect(ics).toContain("DESCRIPTION:Food Theme: Pizza\\nChildcare Duty: Ann\\nSign up: https://sheet");
+  });
+
+  test("foldIcsLine_ keeps lines within 75 octets without splitting characters", () => {
+    const folded = foldIcsLine_("SUMMARY:" + "é".repeat(80));
+    folded.split("\r\n").forEach((line) => {
+      expect(Buffer.byteLength(line, "utf8")).toBeLessThanOrEqual(75);
+    });
+    expect(folded.replace(/\r\n /g, "")).toBe("SUMMARY:" + "é".repeat(80));
+  });
+
+  test("reminder emails carry the invite except for No Group rows", () => {
+    mockScriptProperties({ SHEET_ID: "S1", GROUPME_BOT_ID: "BOT", SCHEDULE_WARNING_ROWS: "0" });
+    global.MailApp = { sendEmail: jest.fn(), getRemainingDailyQuota: () => 100 };
+    global.UrlFetchApp = { fetch: jest.fn(() => httpResponse(202)) };
+    const sheets = {
+      Schedule: [SCHEDULE_HEADER, [makeDateDaysFromNow(2), "Study", "Park", "Pizza", "Ann"]],
+      Emails: [["Email"], ["a@test.com"]],
+    };
+    mockSpreadsheets({ S1: sheets });
+
+    forceSendNotif();
+    const attachments = global.MailApp.sendEmail.mock.calls[0][0].attachments;
+    expect(attachments).toHaveLength(1);
+    expect(attachments[0].contentType).toBe("text/calendar");
+    expect(attachments[0].name).toBe("event.ics");
+
+    sheets.Schedule[1][2] = "No Group";
+    forceSendNotif();
+    expect(global.MailApp.sendEmail.mock.calls[1][0].attachments).toBeUndefined();
+  });
+
+  test("syncCalendar creates, updates and cancels only its own events", () => {
+    mockScriptProperties({ SHEET_ID: "S1", CALENDAR_ID: "cal@test.com", GROUP_NAME: "City Group" });
+    const other = makeFakeEvent("Dentist", new Date(), new Date(), {}, null);
+    const events = [other];
+    const calendar = makeFakeCalendar(events);
+    global.CalendarApp = { getCalendarById: jest.fn(() => calendar) };
+    const sheets = {
+      Schedule: [
+        SCHEDULE_HEADER,
+        [makeDateDaysFromNow(2), "Study", "Park", "Pizza", "Ann"],
+        [makeDateDaysFromNow(9), "Potluck", "Home", "Tacos", "Bob"],
+      ],
+    };
+    mockSpreadsheets({ S1: sheets });
+
+    syncCalendar();
+    expect(global.CalendarApp.getCalendarById).toHaveBeenCalledWith("cal@test.com");
+    expect(calendar.createEvent).toHaveBeenCalledTimes(2);
+    expect(events[1].title).toBe("City Group: Study");
+    expect(events[1].tag).toMatch(/^\d{4}-\d{2}-\d{2}-city-group$/);
+
+    sheets.Schedule[1][2] = "Church";
+    sheets.Schedule[2][2] = "No Group";
+    syncCalendar();
+    expect(calendar.createEvent).toHaveBeenCalledTimes(2);
+    expect(events[1].setLocation).toHaveBeenCalledWith("Church");
+    expect(events[1].setTime).not.toHaveBeenCalled();
+    expect(events[2].deleteEvent).toHaveBeenCalled();
+    expect(other.deleteEvent).not.toHaveBeenCalled();
+  });
+
+  test("syncCalendar keeps one event per row when two rows share a date", () => {
+    mockScriptProperties({ SHEET_ID: "S1", CALENDAR_ID: "cal@test.com", GROUP_NAME: "City Group" });
+    const events = [];
+    const calendar = makeFakeCalendar(events);
+    global.CalendarApp = { getCalendarById: jest.fn(() => calendar) };
+    mockSpreadsheets({
+      S1: {
+        Schedule: [
+          SCHEDULE_HEADER,
+          [makeDateDaysFromNow(2), "Lunch", "Cafe", "", ""],
+          [makeDateDaysFromNow(2), "Study", "Park", "Pizza", "Ann"],
+        ],
+      },
+    });
+
+    syncCalendar();
+    syncCalendar();
+
+    expect(calendar.createEvent).toHaveBeenCalledTimes(2);
+    expect(events.map((e) => [e.title, e.tag.replace(/^[\d-]{10}/, "")])).toEqual([
+      ["City Group: Lunch", "-city-group"],
+      ["City Group: Study", "-city-group#2"],
+    ]);
+    expect(events[0].setTitle).not.toHaveBeenCalled();
+    expect(events[1].setTitle).not.toHaveBeenCalled();
+    expect(events.some((e) => e.deleted)).toBe(false);
+  });
+
+  test("syncCalendar fails clearly when no calendar is configured", () => {
+    mockScriptProperties({ SHEET_ID: "S1", ADMIN_EMAILS: "" });
+    global.MailApp = { sendEmail: jest.fn(), getRemainingDailyQuota: () => 100 };
+    mockSpreadsheets({ S1: { Schedule: [SCHEDULE_HEADER] } });
+
+    expect(() => syncCalendar()).toThrow(/Missing calendar id/);
+  });
+});
+
+describe("week digest", () => {
+  const ctx = { groupName: "City Group", signupUrl: "https://sheet" };
+
+  beforeEach(() => {
+    global.Session = { getScriptTimeZone: () => "UTC" };
+    global.Utilities = { formatDate: isoFormatDate, sleep: jest.fn() };
+    global.Logger = { log: jest.fn() };
+  });
+
+  test("getUpcomingRows_ returns every row in the window in date order", () => {
+    const data = [
+      SCHEDULE_HEADER,
+      [makeDateDaysFromNow(5), "Service project", "Shelter", "", ""],
+      [makeDateDaysFromNow(10), "Too far", "Park", "", ""],
+      [makeDateDaysFromNow(2), "Group night", "Park", "Pizza", "Ann"],
+    ];
+    expect(getUpcomingRows_(data).map((r) => r.description)).toEqual(["Group night", "Service project"]);
+  });
+
+  test("keeps the single-event format for one row", () => {
+    const row = makeScheduleRow(new Date("2030-01-12T00:00:00Z"), "Study", "Park", "Pizza", "Ann");
+    expect(buildDigestEmailBody_([row], ctx)).toBe(buildEmailBody_(row, ctx));
+    expect(buildDigestGroupMeMessage_([row], ctx)).toBe(buildGroupMeMessage_(row, ctx));
+  });
+
+  test("lists each event, including No Group rows", () => {
+    const rows = [
+      makeScheduleRow(new Date("2030-01-12T00:00:00Z"), "Study", "Park", "Pizza", "Ann"),
+      makeScheduleRow(new Date("2030-01-15T00:00:00Z"), "", "No Group", "", ""),
+    ];
+
+    const message = buildDigestGroupMeMessage_(rows, ctx);
+    expect(message.split("\n\n")).toEqual([
+      "2 events coming up for City Group",
+      buildGroupMeMessage_(rows[0], ctx),
+      "NO GROUP for City Group on MM-dd",
+    ]);
+
+    const body = buildDigestEmailBody_(rows, ctx);
+    expect(body).toContain("<p><strong>2 events coming up for City Group</strong></p>");
+    expect(body).toContain("<p><strong>Description:</strong> Study</p>");
+    expect(body).toContain("<hr>\n<p>NO GROUP for City Group on MM-dd</p>");
+  });
+
+  test("sendNotif announces every event in the window with one invite each", () => {
+    mockScriptProperties({ SHEET_ID: "S1", GROUPME_BOT_ID: "BOT", SCHEDULE_WARNING_ROWS: "0" });
+    global.Utilities.newBlob = jest.fn((data, contentType, name) => ({ name }));
+    global.Utilities.parseDate = (text) => new Date(text.replace(" ", "T") + ":00Z");
+    global.MailApp = { sendEmail: jest.fn(), getRemainingDailyQuota: () => 100 };
+    global.UrlFetchApp = { fetch: jest.fn(() => httpResponse(202)) };
+    const first = makeDateDaysFromNow(2);
+    const second = makeDateDaysFromNow(5);
+    mockSpreadsheets({
+      S1: {
+        Schedule: [
+          SCHEDULE_HEADER,
+          [first, "Group night", "Park", "Pizza", "Ann"],
+          [second, "Service project", "Shelter", "", ""],
+        ],
+        Emails: [["Email"], ["a@test.com"]],
+      },
+    });
+
+    sendNotif();
+
+    const email = global.MailApp.sendEmail.mock.calls[0][0];
+    expect(email.subject).toBe("Reminder for Mendez/Williams City Group: 2 events starting MM-dd");
+    expect(email.attachments.map((a) => a.name)).toEqual([
+      "event-" + first.toISOString().slice(0, 10) + ".ics",
+      "event-" + second.toISOString().slice(0, 10) + ".ics",
+    ]);
+    const payload = JSON.parse(global.UrlFetchApp.fetch.mock.calls[0][1].payload);
+    expect(payload.text).toMatch(/^2 events coming up for Mendez\/Williams City Group\n\n/);
+    expect(payload.text).toContain("Description: Service project");
+  });
+});
+
+describe("schedule validation", () => {
+  beforeEach(() => {
+    global.Session = { getScriptTimeZone: () => "UTC" };
+    global.Utilities = { formatDate: isoFormatDate };
+    global.Logger = { log: jest.fn() };
+  });
+
+  test("parseSheetDate_ accepts common formats and rejects impossible dates", () => {
+    expect(parseSheetDate_("1/12/25")).toEqual(new Date(2025, 0, 12));
+    expect(parseSheetDate_("2025-01-12")).toEqual(new Date(2025, 0, 12));
+    expect(parseSheetDate_("Jan 12, 2025")).toEqual(new Date(2025, 0, 12));
+    expect(parseSheetDate_("13/40/25")).toBeNull();
+    expect(parseSheetDate_("2/30/2025")).toBeNull();
+    expect(parseSheetDate_("next week")).toBeNull();
+    expect(parseSheetDate_("")).toBeNull();
+  });
+
+  test("getNextUpcomingRow_ reads text dates and skips typos", () => {
+    const d = makeDateDaysFromNow(2);
+    const text = (d.getMonth() + 1) + "/" + d.getDate() + "/" + d.getFullYear();
+    const data = [SCHEDULE_HEADER, ["13/40/25", "typo", "Park", "", ""], [text, "text date", "Park", "", ""]];
+    expect(getNextUpcomingRow_(data).description).toBe("text date");
+  });
+
+  test("reports invalid, missing, duplicate and out-of-order dates and missing fields", () => {
+    const data = [
+      SCHEDULE_HEADER,
+      [makeDateDaysFromNow(1), "Study", "Park", "", ""],
+      ["13/40/25", "Typo", "Park", "", ""],
+      [makeDateDaysFromNow(8), "", "", "Tacos", ""],
+      [makeDateDaysFromNow(1), "Again", "Home", "", ""],
+      ["", "", "", "", ""],
+      ["", "Forgot date", "", "", ""],
+      [makeDateDaysFromNow(15), "", "No Group", "", ""],
+      [makeDateDaysFromNow(-30), "Past", "", "", ""],
+    ];
+
+    expect(validateScheduleData_(data).map((f) => [f.row, f.severity, f.issue])).toEqual([
+      [3, "error", "Invalid date"],
+      [4, "error", "Missing Location"],
+      [4, "error", "Missing Description"],
+      [5, "warning", "Duplicate date (also row 2)"],
+      [5, "warning", "Out of order (earlier than row 4)"],
+      [7, "error", "Missing date"],
+      [9, "warning", "Out of order (earlier than row 8)"],
+    ]);
+  });
+
+  test("validateSchedule writes findings to the Validation sheet", () => {
+    mockScriptProperties({ SHEET_ID: "S1" });
+    const sheets = {
+      Schedule: [SCHEDULE_HEADER, ["2/30/2025", "Study", "Park", "", ""]],
+      Validation: [["old"], ["stale finding"]],
+    };
+    mockSpreadsheets({ S1: sheets });
+
+    validateSchedule();
+    expect(sheets.Validation).toEqual([
+      ["Row", "Severity", "Issue", "Value"],
+      [2, "error", "Invalid date", "2/30/2025"],
+    ]);
+
+    sheets.Schedule[1][0] = makeDateDaysFromNow(3);
+    validateSchedule();
+    expect(sheets.Validation[1]).toEqual(["", "ok", "No problems found", ""]);
+  });
+});
+
+describe("calendar days across time zones", () => {
+  const originalTz = process.env.TZ;
+  const runtimeZones = ["UTC", "America/Los_Angeles", "Pacific/Auckland", "Asia/Kolkata"];
+
+  // Instant of midnight on a calendar day in a zone, like a Sheets date cell.
+  function zonedMidnight(year, month, day, timeZone) {
+    const target = Date.UTC(year, month - 1, day);
+    let guess = target;
+    for (let i = 0; i < 2; i++) {
+      const p = {};
+      new Intl.DateTimeFormat("en-US", {
+        timeZone, hourCycle: "h23", year: "numeric", month: "numeric", day: "numeric", hour: "numeric", minute: "numeric",
+      }).formatToParts(new Date(guess)).forEach((part) => { p[part.type] = part.value; });
+      guess += target - Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute);
+    }
+    return new Date(guess);
+  }
+
+  function zonedFormatDate(date, timeZone, fmt) {
+    const p = {};
+    new Intl.DateTimeFormat("en-US", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" })
+      .formatToParts(date).forEach((part) => { p[part.type] = part.value; });
+    if (fmt === "yyyy-MM-dd") return `${p.year}-${p.month}-${p.day}`;
+    if (fmt === "MM-dd") return `${p.month}-${p.day}`;
+    return fmt;
+  }
+
+  function scheduleIn(timeZone, days) {
+    return [SCHEDULE_HEADER].concat(days.map(([y, m, d, description]) => [
+      zonedMidnight(y, m, d, timeZone), description, "Park", "", "",
+    ]));
+  }
+
+  beforeEach(() => {
+    global.Utilities = { formatDate: zonedFormatDate };
+    global.Logger = { log: jest.fn() };
+  });
+
+  afterEach(() => {
+    process.env.TZ = originalTz;
+    jest.useRealTimers();
+  });
+
+  test.each(runtimeZones)("US DST start: same window and dates with the runtime in %s", (runtimeZone) => {
+    process.env.TZ = runtimeZone;
+    mockTimeZone("America/Los_Angeles", { TIME_ZONE: "America/New_York" });
+    const data = scheduleIn("America/New_York", [
+      [2025, 3, 9, "DST day"],
+      [2025, 3, 15, "Last in window"],
+      [2025, 3, 16, "Too far"],
+    ]);
+
+    const rows = getUpcomingRows_(data, "3/8/2025", 7);
+    expect(rows.map((r) => r.description)).toEqual(["DST day", "Last in window"]);
+    expect(rows.map((r) => getShortDate_(r.day))).toEqual(["03-09", "03-15"]);
+    expect(buildEmailSubject_(rows[0])).toBe("Reminder for Mendez/Williams City Group on 03-09");
+
+    const dayOf = selectReminderRow_(data, "3/9/2025", 7, [6, 0]);
+    expect(dayOf.row.description).toBe("DST day");
+    expect(dayOf.variant).toBe("day-of");
+    expect(selectReminderRow_(data, "3/9/2025", 7, [6]).row.description).toBe("Last in window");
+  });
+
+  test.each(runtimeZones)("Europe DST end and base-date parsing with the runtime in %s", (runtimeZone) => {
+    process.env.TZ = runtimeZone;
+    mockTimeZone("Europe/Berlin");
+    const data = scheduleIn("Europe/Berlin", [[2025, 10, 26, "DST end"], [2025, 11, 2, "Next week"]]);
+
+    expect(getNextUpcomingRow_(data, "2025-10-26", 0).description).toBe("DST end");
+    expect(getUpcomingRows_(data, "10/25/25", 8).map((r) => r.description)).toEqual(["DST end", "Next week"]);
+    const base = parseBaseDate_("10/26/2025");
+    expect([base.getFullYear(), base.getMonth(), base.getDate()]).toEqual([2025, 9, 26]);
+  });
+
+  test("reads sheet dates in TIME_ZONE when the spreadsheet is east of the script", () => {
+    process.env.TZ = "America/Los_Angeles";
+    const cell = zonedMidnight(2025, 4, 6, "Pacific/Auckland"); // Auckland DST ends that day
+
+    mockTimeZone("America/Los_Angeles");
+    expect(formatRowDate_(cell, "yyyy-MM-dd")).toBe("2025-04-05"); // the script zone sees the previous evening
+
+    mockTimeZone("America/Los_Angeles", { TIME_ZONE: "Pacific/Auckland" });
+    expect(formatRowDate_(cell, "yyyy-MM-dd")).toBe("2025-04-06");
+    const data = [SCHEDULE_HEADER, [cell, "Sunday", "Park", "", ""]];
+    expect(getNextUpcomingRow_(data, "4/6/2025", 0).description).toBe("Sunday");
+  });
+
+  test("today is the current day in TIME_ZONE, not the runtime's", () => {
+    process.env.TZ = "UTC";
+    jest.useFakeTimers({ now: new Date("2025-03-09T03:30:00Z") }); // Mar 8 evening in Los Angeles
+    const data = [
+      SCHEDULE_HEADER,
+      ["3/8/2025", "Saturday", "Park", "", ""],
+      ["3/9/2025", "Sunday", "Park", "", ""],
+    ];
+
+    mockTimeZone("UTC", { TIME_ZONE: "America/Los_Angeles" });
+    expect(getNextUpcomingRow_(data, undefined, 0).description).toBe("Saturday");
+
+    mockTimeZone("UTC", { TIME_ZONE: "Pacific/Auckland" });
+    expect(getNextUpcomingRow_(data, undefined, 0).description).toBe("Sunday");
+  });
+});
+
+describe("GroupMe commands", () => {
+  function callback(text, extra = {}) {
+    return Object.assign({ group_id: "G1", sender_type: "user", name: "Ann", text }, extra);
+  }
+
+  beforeEach(() => {
+    mockTimeZone(undefined, { SHEET_ID: "S1", GROUPME_BOT_ID: "BOT", GROUPME_GROUP_ID: "G1", ADMIN_EMAILS: "admin@test.com" });
+    global.Utilities = { formatDate: isoFormatDate, sleep: jest.fn() };
+    global.Logger = { log: jest.fn() };
+    global.MailApp = { sendEmail: jest.fn(), getRemainingDailyQuota: () => 100 };
+    global.UrlFetchApp = { fetch: jest.fn(() => httpResponse(202)) };
+    global.ContentService = { createTextOutput: jest.fn((text) => ({ text })) };
+    mockSpreadsheets({
+      S1: {
+        Schedule: [
+          [...SCHEDULE_HEADER, "Host"],
+          [makeDateDaysFromNow(20), "Potluck", "Church", "", "", ""],
+          [makeDateDaysFromNow(2), "", "No Group", "", "", ""],
+          [makeDateDaysFromNow(9), "Study", "Park", "Tacos", "Zed", "Bob"],
+          [makeDateDaysFromNow(40), "Later", "Park", "", "", ""],
+        ],
+      },
+    });
+  });
+
+  test("!next replies with the next row formatted like the reminder", () => {
+    expect(handleGroupMeCallback_(callback("!next")).reply).toBe("NO GROUP for Mendez/Williams City Group on MM-dd");
+  });
+
+  test("!schedule lists the next four weeks in date order", () => {
+    expect(handleGroupMeCallback_(callback("  !Schedule please")).reply).toBe(
+      "Next 4 weeks for Mendez/Williams City Group:\nMM-dd: NO GROUP\nMM-dd: Study @ Park\nMM-dd: Potluck @ Church"
+    );
+  });
+
+  test("!food and !childcare answer for the next meeting", () => {
+    expect(handleGroupMeCallback_(callback("!food")).reply).toBe("Food for MM-dd: Tacos (host: Bob)");
+    expect(handleGroupMeCallback_(callback("!childcare")).reply).toBe("Childcare for MM-dd: Zed");
+  });
+
+  test("ignores bots, system messages, other text and unknown groups", () => {
+    expect(handleGroupMeCallback_(callback("!next", { sender_type: "bot" }))).toBeNull();
+    expect(handleGroupMeCallback_(callback("!next", { system: true }))).toBeNull();
+    expect(handleGroupMeCallback_(callback("see you at !next week"))).toBeNull();
+    expect(handleGroupMeCallback_(callback("!next", { group_id: "OTHER" }))).toBeNull();
+  });
+
+  test("doPost posts the reply with the group's bot and always answers", () => {
+    const output = doPost({ postData: { contents: JSON.stringify(callback("!help")) } });
+
+    expect(output.text).toBe("ok");
+    expect(global.UrlFetchApp.fetch).toHaveBeenCalledTimes(1);
+    const payload = JSON.parse(global.UrlFetchApp.fetch.mock.calls[0][1].payload);
+    expect(payload).toEqual({ bot_id: "BOT", text: "Commands: !next, !schedule, !food, !childcare, !help" });
+
+    expect(doPost({ postData: { contents: "not json" } }).text).toBe("ok");
+    expect(global.MailApp.sendEmail).not.toHaveBeenCalled();
+  });
+
+  test("doPost alerts organizers when the reply cannot be posted", () => {
+    global.UrlFetchApp.fetch.mockReturnValue(httpResponse(404, "bot not found"));
+
+    expect(doPost({ postData: { contents: JSON.stringify(callback("!help")) } }).text).toBe("ok");
+    expect(global.MailApp.sendEmail.mock.calls[0][0].subject).toBe("Community group reminder failed: doPost");
+  });
+});
+
+describe("RSVPs", () => {
+  const webAppUrl = "https://script.test/exec";
+  const rsvpProps = {
+    SHEET_ID: "S1",
+    GROUPME_BOT_ID: "BOT",
+    SCHEDULE_WARNING_ROWS: "0",
+    WEB_APP_URL: webAppUrl,
+    RSVP_SECRET: "s3cret",
+  };
+  let sheets;
+
+  // RSVP link (from an email body) → doGet request parameters.
+  function linkParams(htmlBody, label) {
+    const match = htmlBody.match(new RegExp('<a href="([^"]+)">' + label + "</a>"));
+    return Object.fromEntries(new URL(match[1].replace(/&amp;/g, "&")).searchParams);
+  }
+
+  // Submitting the confirmation form for a link.
+  function confirm(params) {
+    return doGet({ parameter: { ...params, c: "1" } }).html;
+  }
+
+  function groupMeText(callIndex = 0) {
+    return JSON.parse(global.UrlFetchApp.fetch.mock.calls[callIndex][1].payload).text;
+  }
+
+  let lock;
+
+  beforeEach(() => {
+    lock = { waitLock: jest.fn(), releaseLock: jest.fn() };
+    global.LockService = { getScriptLock: () => lock };
+    global.Session = { getScriptTimeZone: () => "UTC" };
+    global.Utilities = {
+      formatDate: isoFormatDate,
+      computeHmacSha256Signature: (value, key) => Array.from(crypto.createHmac("sha256", key).update(value).digest()),
+      base64EncodeWebSafe: (bytes) => Buffer.from(bytes).toString("base64").replace(/\+/g, "-").replace(/\//g, "_"),
+    };
+    global.Logger = { log: jest.fn() };
+    global.MailApp = { sendEmail: jest.fn(), getRemainingDailyQuota: () => 100 };
+    global.UrlFetchApp = { fetch: jest.fn(() => httpResponse(202)) };
+    global.HtmlService = { createHtmlOutput: (html) => ({ html, setTitle() { return this; } }) };
+    mockScriptProperties(rsvpProps);
+    sheets = {
+      Schedule: [SCHEDULE_HEADER, [makeDateDaysFromNow(2), "Study", "Park", "Pizza", "Kim"]],
+      Emails: [["Email", "Name"], ["ann@test.com", "Ann"], ["bob@test.com", "Bob"]],
+    };
+    mockSpreadsheets({ S1: sheets });
+  });
+
+  test("emails each member their own RSVP links and shows the headcount on GroupMe", () => {
+    sendNotif();
+
+    expect(global.MailApp.sendEmail).toHaveBeenCalledTimes(2);
+    const [ann, bob] = global.MailApp.sendEmail.mock.calls.map((c) => c[0]);
+    expect(ann.to).toBe("ann@test.com");
+    expect(ann.htmlBody).toContain("<strong>Coming on MM-dd?</strong>");
+    expect(linkParams(ann.htmlBody, "Yes")).toMatchObject({ e: "ann@test.com", r: "yes", g: "Mendez/Williams City Group" });
+    expect(linkParams(bob.htmlBody, "Maybe")).toMatchObject({ e: "bob@test.com", r: "maybe" });
+    expect(linkParams(ann.htmlBody, "Yes").t).not.toBe(linkParams(bob.htmlBody, "Yes").t);
+    expect(groupMeText()).toMatch(/\nRSVPs so far: 0 coming \(0 kids\), 0 maybe$/);
+  });
+
+  test("doGet records, replaces and completes responses that the next reminder counts", () => {
+    sendNotif();
+    const [ann, bob] = global.MailApp.sendEmail.mock.calls.map((c) => c[0].htmlBody);
+
+    expect(confirm(linkParams(ann, "No"))).toContain("<strong>No</strong>.");
+    const page = confirm(linkParams(ann, "Yes"));
+    expect(page).toContain("<strong>Yes</strong> (kids: 0).");
+    expect(page).toContain('<input type="number" name="k"');
+    expect(page).toContain('<input type="hidden" name="c" value="1">');
+    confirm({ ...linkParams(ann, "Yes"), k: "2" });
+    confirm(linkParams(bob, "Maybe"));
+
+    expect(sheets.RSVPs[0]).toEqual(["Timestamp", "Group", "Event Date", "Email", "Response", "Kids"]);
+    expect(sheets.RSVPs.slice(1).map((r) => r.slice(3))).toEqual([
+      ["ann@test.com", "yes", 2],
+      ["bob@test.com", "maybe", 0],
+    ]);
+
+    forceSendNotif();
+    expect(groupMeText(1)).toContain("RSVPs so far: 1 coming (2 kids), 1 maybe");
+  });
+
+  test("doGet rejects tampered links and bad kids counts without recording", () => {
+    sendNotif();
+    const params = linkParams(global.MailApp.sendEmail.mock.calls[0][0].htmlBody, "Yes");
+
+    expect(doGet({ parameter: { ...params, e: "mallory@test.com" } }).html).toContain("not valid");
+    expect(doGet({ parameter: { ...params, d: "2099-01-01" } }).html).toContain("not valid");
+    expect(doGet({ parameter: { ...params, k: "-1" } }).html).toContain("from 0 to 20");
+    expect(sheets.RSVPs).toBeUndefined();
+  });
+
+  test("previewNotif reports individual sends when RSVPs are on, whatever EMAIL_SEND_MODE says", () => {
+    mockScriptProperties({ ...rsvpProps, EMAIL_SEND_MODE: "bcc" });
+    const [report] = previewNotif();
+
+    expect(report.email.sendMode).toBe("individual");
+    expect(Object.fromEntries(sheets.Preview.slice(1))["Email Send Mode"]).toBe("individual");
+    expect(global.MailApp.sendEmail).not.toHaveBeenCalled();
+
+    mockScriptProperties({ ...rsvpProps, EMAIL_SEND_MODE: "bcc", RSVP_SECRET: "" });
+    expect(previewNotif()[0].email.sendMode).toBe("bcc");
+  });
+
+  test("opening a link only shows a confirmation form, so link scanners record nothing", () => {
+    sendNotif();
+    const params = linkParams(global.MailApp.sendEmail.mock.calls[0][0].htmlBody, "Yes");
+
+    const page = doGet({ parameter: params }).html;
+    expect(page).toContain("Confirm your RSVP for Mendez/Williams City Group");
+    expect(page).toContain("<strong>Yes</strong>");
+    expect(page).toContain('<input type="hidden" name="c" value="1">');
+    expect(page).toContain('<button type="submit">Confirm</button>');
+    expect(sheets.RSVPs).toBeUndefined();
+    expect(lock.waitLock).not.toHaveBeenCalled();
+
+    expect(confirm(params)).toContain("Thanks!");
+    expect(sheets.RSVPs).toHaveLength(2);
+  });
+
+  test("records responses under the script lock and saves nothing when the lock is busy", () => {
+    sendNotif();
+    const params = linkParams(global.MailApp.sendEmail.mock.calls[0][0].htmlBody, "Yes");
+
+    confirm(params);
+    expect(lock.waitLock).toHaveBeenCalledWith(10000);
+    expect(lock.releaseLock).toHaveBeenCalledTimes(1);
+
+    lock.waitLock.mockImplementation(() => { throw new Error("Lock timeout"); });
+    expect(confirm({ ...params, k: "3" })).toContain("could not be saved");
+    expect(sheets.RSVPs.slice(1).map((r) => r[5])).toEqual([0]);
+  });
+
+  test("counts kids for yes responses only and ignores other events", () => {
+    const rsvps = parseRsvps_([
+      ["Group", "Event Date", "Email", "Response", "Kids"],
+      ["G", "2025-01-12", "a@test.com", "yes", 2],
+      ["G", "2025-01-12", "b@test.com", "maybe", 3],
+      ["G", "2025-01-19", "c@test.com", "yes", 1],
+      ["H", "2025-01-12", "d@test.com", "yes", 1],
+    ]);
+    expect(getRsvpCounts_(rsvps, "G", "2025-01-12")).toEqual({ yes: 1, maybe: 1, no: 0, kids: 2 });
+    expect(buildRsvpUrl_({ url: webAppUrl, secret: "x" }, "G", "2025-01-12", "a@test.com", "no")).toMatch(
+      /^https:\/\/script\.test\/exec\?g=G&d=2025-01-12&e=a%40test\.com&r=no&t=[\w-]+$/
+    );
+  });
+});
+
+describe("triggers", () => {
+  let props;
+  let triggers;
+  let nextId;
+
+  function addTrigger(handler, eventType, spec = {}) {
+    const id = "T" + nextId++;
+    const trigger = { spec, getUniqueId: () => id, getHandlerFunction: () => handler, getEventType: () => eventType };
+    triggers.push(trigger);
+    return trigger;
+  }
+
+  beforeEach(() => {
+    triggers = [];
+    nextId = 1;
+    global.Logger = { log: jest.fn() };
+    global.MailApp = { sendEmail: jest.fn() };
+    global.ScriptApp = {
+      EventType: { CLOCK: "CLOCK", ON_OPEN: "ON_OPEN" },
+      WeekDay: { MONDAY: "MON-ENUM", SATURDAY: "SAT-ENUM" },
+      getProjectTriggers: () => triggers.slice(),
+      deleteTrigger: jest.fn((trigger) => triggers.splice(triggers.indexOf(trigger), 1)),
+      newTrigger: (handler) => {
+        const spec = {};
+        const builder = {
+          timeBased: () => builder,
+          everyDays: (n) => { spec.everyDays = n; return builder; },
+          onWeekDay: (day) => { spec.weekDay = day; return builder; },
+          atHour: (hour) => { spec.hour = hour; return builder; },
+          nearMinute: (minute) => { spec.minute = minute; return builder; },
+          inTimezone: (tz) => { spec.timeZone = tz; return builder; },
+          create: () => addTrigger(handler, "CLOCK", spec),
+        };
+        return builder;
+      },
+    };
+    props = { SEND_SCHEDULE: "MON 09:00; DAILY 7:30", TIME_ZONE: "America/Chicago" };
+    mockScriptProperties(props);
+  });
+
+  test("parseSendSchedule_ defaults to sendNotif, drops duplicates and rejects bad entries", () => {
+    expect(parseSendSchedule_("mon 9:00\nsendDutyNudges SAT 10:15; MON 09:00").map((s) => s.key)).toEqual([
+      "sendNotif MON 09:00 America/Chicago",
+      "sendDutyNudges SAT 10:15 America/Chicago",
+    ]);
+    expect(() => parseSendSchedule_("")).toThrow(/Set the SEND_SCHEDULE/);
+    expect(() => parseSendSchedule_("MON 25:00")).toThrow(/Invalid SEND_SCHEDULE entry "MON 25:00"/);
+    expect(() => parseSendSchedule_("doPost MON 09:00")).toThrow(/function one of sendNotif/);
+  });
+
+  test("installTriggers creates, keeps and replaces triggers idempotently", () => {
+    const manual = addTrigger("sendNotif", "CLOCK");
+    const onOpen = addTrigger("sendNotif", "ON_OPEN");
+    const other = addTrigger("myOwnJob", "CLOCK");
+
+    expect(installTriggers().map((l) => l.status + " " + l.schedule)).toEqual([
+      "removed unknown (not installed from SEND_SCHEDULE)",
+      "created sendNotif MON 09:00 America/Chicago",
+      "created sendNotif DAILY 07:30 America/Chicago",
+    ]);
+    expect(triggers).toContain(onOpen);
+    expect(triggers).toContain(other);
+    expect(triggers).not.toContain(manual);
+    expect(triggers.slice(2).map((t) => t.spec)).toEqual([
+      { weekDay: "MON-ENUM", hour: 9, minute: 0, timeZone: "America/Chicago" },
+      { everyDays: 1, hour: 7, minute: 30, timeZone: "America/Chicago" },
+    ]);
+
+    expect(installTriggers().map((l) => l.status)).toEqual(["kept", "kept"]);
+    expect(triggers).toHaveLength(4);
+
+    props.SEND_SCHEDULE = "DAILY 07:30; sendOpenSlotsDigest SAT 10:00";
+    expect(installTriggers().map((l) => l.status + " " + l.schedule)).toEqual([
+      "removed sendNotif MON 09:00 America/Chicago",
+      "kept sendNotif DAILY 07:30 America/Chicago",
+      "created sendOpenSlotsDigest SAT 10:00 America/Chicago",
+    ]);
+    expect(listTriggers().filter((l) => l.status === "installed").map((l) => l.schedule)).toEqual([
+      "sendNotif DAILY 07:30 America/Chicago",
+      "sendOpenSlotsDigest SAT 10:00 America/Chicago",
+    ]);
+  });
+
+  test("installTriggers replaces triggers made for an earlier TIME_ZONE", () => {
+    installTriggers();
+    props.TIME_ZONE = "Europe/Berlin";
+
+    expect(installTriggers().map((l) => l.status + " " + l.schedule)).toEqual([
+      "removed sendNotif MON 09:00 America/Chicago",
+      "removed sendNotif DAILY 07:30 America/Chicago",
+      "created sendNotif MON 09:00 Europe/Berlin",
+      "created sendNotif DAILY 07:30 Europe/Berlin",
+    ]);
+    expect(triggers.map((t) => t.spec.timeZone)).toEqual(["Europe/Berlin", "Europe/Berlin"]);
+  });
+
+  test("an invalid schedule fails before any trigger is touched", () => {
+    addTrigger("sendNotif", "CLOCK");
+    props.SEND_SCHEDULE = "MONDAY 09:00";
+
+    expect(() => installTriggers()).toThrow(/Invalid SEND_SCHEDULE entry/);
+    expect(global.ScriptApp.deleteTrigger).not.toHaveBeenCalled();
+    expect(triggers).toHaveLength(1);
+  });
+
+  test("removeTriggers deletes only the scheduled entry points' clock triggers", () => {
+    installTriggers();
+    addTrigger("myOwnJob", "CLOCK");
+
+    expect(removeTriggers().map((l) => l.schedule)).toEqual([
+      "sendNotif MON 09:00 America/Chicago",
+      "sendNotif DAILY 07:30 America/Chicago",
+    ]);
+    expect(triggers.map((t) => t.getHandlerFunction())).toEqual(["myOwnJob"]);
+    expect(props.INSTALLED_TRIGGERS).toBeUndefined();
+    expect(listTriggers()).toEqual([{ functionName: "myOwnJob", schedule: "CLOCK", status: "not managed by installTriggers" }]);
+  });
+});
+
+describe("checkSetup", () => {
+  const goodProps = {
+    SHEET_ID: "S1",
+    GROUPME_BOT_ID: "BOT-1234",
+    TEST_GROUPME_BOT_ID: "TESTBOT",
+    TEST_EMAIL_RECIPIENTS: "t@test.com",
+    ADMIN_EMAILS: "admin@test.com",
+    REMINDER_CADENCES: "6, 0",
+    TIME_ZONE: "America/Chicago",
+  };
+  let sheets;
+
+  beforeEach(() => {
+    global.Session = { getScriptTimeZone: () => "UTC" };
+    global.Logger = { log: jest.fn() };
+    sheets = {
+      Schedule: [SCHEDULE_HEADER, [new Date(), "Study", "Park", "Pizza", "Kim"]],
+      Emails: [["Email", "Name"], ["a@test.com", "Ann"]],
+    };
+    mockSpreadsheets({ S1: sheets });
+  });
+
+  test("passes a complete setup and logs the checklist", () => {
+    mockScriptProperties(goodProps);
+    const lines = checkSetup();
+
+    expect(lines.filter((l) => l.status !== "PASS")).toEqual([]);
+    expect(lines.find((l) => l.check === "LOOKAHEAD_DAYS")).toEqual({ status: "PASS", check: "LOOKAHEAD_DAYS", detail: "not set" });
+    expect(lines.slice(-6).map((l) => l.check + " " + l.detail)).toEqual([
+      "Mendez/Williams City Group: spreadsheet S1",
+      "Mendez/Williams City Group: Schedule tab 1 row(s)",
+      "Mendez/Williams City Group: Emails tab 1 row(s)",
+      "Mendez/Williams City Group: recipient emails 1 active recipient(s)",
+      "Mendez/Williams City Group: GroupMe bot ****1234",
+      "Mendez/Williams City Group: test GroupMe bot ****TBOT",
+    ]);
+    expect(global.Logger.log.mock.calls[0][0]).toMatch(/^Setup check: 0 problem\(s\), 0 warning\(s\)\.\n\[PASS\] SHEET_ID: set/);
+  });
+
+  test("reports every problem at once instead of throwing", () => {
+    mockScriptProperties({
+      ...goodProps,
+      TEST_GROUPME_BOT_ID: "",
+      TEST_EMAIL_RECIPIENTS: "t@test.com, nope",
+      LOOKAHEAD_DAYS: "soon",
+      TIME_ZONE: "Mars/Base",
+      TEST_BASE_DATE: "someday",
+      SEND_SCHEDULE: "MONDAY 9am",
+      WEB_APP_URL: "https://script.test/exec",
+    });
+    sheets.Emails.push(["bad-address", "Bo"]);
+    delete sheets.Schedule;
+    sheets.Sched = [SCHEDULE_HEADER];
+
+    const failed = Object.fromEntries(checkSetup().filter((l) => l.status !== "PASS").map((l) => [l.check, l.status + " " + l.detail]));
+    expect(failed).toEqual({
+      TEST_GROUPME_BOT_ID: "FAIL missing",
+      TEST_EMAIL_RECIPIENTS: "FAIL invalid email(s): nope",
+      LOOKAHEAD_DAYS: "FAIL expected a whole number of at least 0",
+      TIME_ZONE: expect.stringMatching(/^FAIL .*Mars\/Base/),
+      TEST_BASE_DATE: "FAIL expected mm/dd/yy, mm/dd/yyyy or yyyy-mm-dd",
+      SEND_SCHEDULE: expect.stringMatching(/^FAIL Invalid SEND_SCHEDULE entry "MONDAY 9am"/),
+      RSVPs: "WARN set both WEB_APP_URL and RSVP_SECRET to turn RSVPs on",
+      "Mendez/Williams City Group: Schedule tab": "FAIL missing (was it renamed?)",
+      "Mendez/Williams City Group: recipient emails": "FAIL invalid: bad-address",
+      "Mendez/Williams City Group: test GroupMe bot": "FAIL not set (testGroupMeBotId or TEST_GROUPME_BOT_ID)",
+    });
+  });
+
+  test("requires TEST_GROUPME_BOT_ID only when a group has no test bot of its own", () => {
+    const groups = [
+      { name: "East", sheetId: "S1", groupMeBotId: "B1", testGroupMeBotId: "EAST-TEST" },
+      { name: "West", sheetId: "S1", groupMeBotId: "B2", testGroupMeBotId: "WEST-TEST" },
+    ];
+    const { SHEET_ID, GROUPME_BOT_ID, TEST_GROUPME_BOT_ID, ...shared } = goodProps;
+    mockScriptProperties({ ...shared, GROUPS: JSON.stringify(groups) });
+
+    let lines = checkSetup();
+    expect(lines.filter((l) => l.status !== "PASS")).toEqual([]);
+    expect(lines.find((l) => l.check === "TEST_GROUPME_BOT_ID").detail).toBe("not set");
+    expect(lines.find((l) => l.check === "West: test GroupMe bot").detail).toBe("****TEST");
+
+    delete groups[1].testGroupMeBotId;
+    mockScriptProperties({ ...shared, GROUPS: JSON.stringify(groups) });
+    lines = checkSetup();
+    expect(lines.filter((l) => l.status !== "PASS").map((l) => l.check + " " + l.detail)).toEqual([
+      "TEST_GROUPME_BOT_ID missing",
+      "West: test GroupMe bot not set (testGroupMeBotId or TEST_GROUPME_BOT_ID)",
+    ]);
+  });
+
+  test("a renamed tab fails sends with a clear message", () => {
+    delete sheets.Schedule;
+    expect(() => getSheetData_("Schedule", "S1")).toThrow("The Schedule tab is missing from the spreadsheet.");
+  });
+});
+
+describe("blackouts", () => {
+  let sheets;
+
+  beforeEach(() => {
+    global.Session = { getScriptTimeZone: () => "UTC" };
+    global.Utilities = { formatDate: isoFormatDate, newBlob: jest.fn(), sleep: jest.fn() };
+    global.Logger = { log: jest.fn() };
+    global.MailApp = { sendEmail: jest.fn(), getRemainingDailyQuota: () => 100 };
+    global.UrlFetchApp = { fetch: jest.fn(() => httpResponse(202)) };
+    mockScriptProperties({ SHEET_ID: "S1", GROUPME_BOT_ID: "BOT", SCHEDULE_WARNING_ROWS: "0" });
+    sheets = {
+      Schedule: [[...SCHEDULE_HEADER, "Host"], [makeDateDaysFromNow(2), "Study", "Park", "Pizza", "Ann", "Bob"]],
+      Emails: [["Email", "Name"], ["ann@test.com", "Ann"], ["bob@test.com", "Bob"]],
+      Blackouts: [
+        ["Start", "End", "Reason"],
+        [makeDateDaysFromNow(1), makeDateDaysFromNow(3), "Thanksgiving"],
+      ],
+    };
+    mockSpreadsheets({ S1: sheets });
+  });
+
+  test("parseBlackouts_ reads ranges with defaults and skips invalid rows", () => {
+    const blackouts = parseBlackouts_([
+      ["Start", "End", "Reason"],
+      ["2025-12-22", "2026-01-02", "Christmas break"],
+      ["2025-11-27", "", ""],
+      ["", "", ""],
+      ["2025-12-05", "2025-12-01", "Backwards"],
+      ["someday", "", "Unknown"],
+    ]);
+    expect(blackouts.map((b) => [formatRowDate_(b.startDay, "yyyy-MM-dd"), b.endDay - b.startDay, b.reason])).toEqual([
+      ["2025-12-22", 11, "Christmas break"],
+      ["2025-11-27", 0, "no meeting this week"],
+    ]);
+    expect(global.Logger.log).toHaveBeenCalledTimes(2);
+  });
+
+  test("applyBlackouts_ fills the Blackout column but keeps a reason typed in the Schedule", () => {
+    const blackouts = parseBlackouts_([["Start", "End", "Reason"], ["2025-12-22", "2026-01-02", "Christmas break"]]);
+    const data = [
+      ["Date", "Description", "Location", "Food Theme", "Childcare Duty", "Blackout"],
+      ["2025-12-21", "Before", "Park", "", "", ""],
+      ["2025-12-28", "During", "Park", "", "", ""],
+      ["2026-01-02", "Own reason", "Park", "", "", "Church-wide event"],
+    ];
+    expect(applyBlackouts_(data, blackouts).slice(1).map((r) => r[5])).toEqual(["", "Christmas break", "Church-wide event"]);
+    expect(data[2][5]).toBe("");
+    expect(applyBlackouts_(data, [])).toBe(data);
+  });
+
+  test("a blacked-out week sends the NO GROUP message with the reason despite a location", () => {
+    sendNotif();
+    sendDutyNudges();
+
+    expect(global.MailApp.sendEmail).toHaveBeenCalledTimes(1);
+    const email = global.MailApp.sendEmail.mock.calls[0][0];
+    expect(email.subject).toBe("NO GROUP for Mendez/Williams City Group on MM-dd: Thanksgiving");
+    expect(email.attachments).toBeUndefined();
+
+    expect(global.UrlFetchApp.fetch).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(global.UrlFetchApp.fetch.mock.calls[0][1].payload).text).toBe(
+      "NO GROUP for Mendez/Williams City Group on MM-dd: Thanksgiving"
+    );
+  });
+});
+
+describe("schedule generation", () => {
+  const day = (iso) => Date.parse(iso) / 86400000;
+  const ROSTERS = [
+    ["Host", "Food Theme", "Childcare Duty"],
+    ["Ann", "Tacos", "Cy"],
+    ["Bob", "Pizza", "Di"],
+    ["Cal", "Soup", "Ed"],
+    ["", "", "Flo"],
+    ["", "", "cy"],
+  ];
+
+  let lock;
+
+  beforeEach(() => {
+    lock = { waitLock: jest.fn(), releaseLock: jest.fn() };
+    global.LockService = { getScriptLock: () => lock };
+    global.Session = { getScriptTimeZone: () => "UTC" };
+    global.Utilities = { formatDate: isoFormatDate };
+    global.Logger = { log: jest.fn() };
+  });
+
+  test("parseRosters_ lists each column's entries without blanks or duplicates", () => {
+    expect(parseRosters_(ROSTERS)).toEqual({
+      host: ["Ann", "Bob", "Cal"],
+      foodTheme: ["Tacos", "Pizza", "Soup"],
+      childcareDuty: ["Cy", "Di", "Ed", "Flo"],
+    });
+    expect(parseRosters_([["Childcare Duty"], ["Cy"]])).toEqual({ childcareDuty: ["Cy"] });
+  });
+
+  test("planScheduleRows_ picks whoever served least recently and skips blackouts", () => {
+    const data = [
+      [...SCHEDULE_HEADER, "Host"],
+      ["2025-11-07", "Romans 5", "Park", "Tacos", "Cy & Di", "Ann"],
+      ["2025-11-14", "Romans 6", "Church", "Pizza", "Ed and Cy", "Bob"],
+    ];
+    const blackouts = [{ startDay: day("2025-11-28"), endDay: day("2025-11-28"), reason: "Thanksgiving" }];
+
+    const records = planScheduleRows_(data, parseRosters_(ROSTERS), blackouts, {
+      baseDay: day("2025-11-15"),
+      weeks: 4,
+      weekday: 5,
+    });
+
+    expect(records).toEqual([
+      { Date: "2025-11-21", Location: "Church", Description: "Romans 6", Host: "Cal", "Food Theme": "Soup", "Childcare Duty": "Flo & Di" },
+      { Date: "2025-11-28", Blackout: "Thanksgiving" },
+      { Date: "2025-12-05", Location: "Church", Description: "Romans 6", Host: "Ann", "Food Theme": "Tacos", "Childcare Duty": "Cy & Ed" },
+      { Date: "2025-12-12", Location: "Church", Description: "Romans 6", Host: "Bob", "Food Theme": "Pizza", "Childcare Duty": "Di & Flo" },
+    ]);
+  });
+
+  test("planScheduleRows_ only adds dates after the latest existing row", () => {
+    const data = [SCHEDULE_HEADER, ["2025-11-21", "Romans 7", "Park", "", "", ""]];
+    const records = planScheduleRows_(data, {}, [], { baseDay: day("2025-11-15"), weeks: 2, weekday: 5 });
+
+    expect(records).toEqual([{ Date: "2025-11-28", Location: "Park", Description: "Romans 7" }]);
+  });
+
+  test("generateSchedule appends rows under the Schedule headers and is safe to re-run", () => {
+    const schedule = [[...SCHEDULE_HEADER], [makeDateDaysFromNow(7), "Study", "Park", "Pizza", "Cy"]];
+    mockScriptProperties({ SHEET_ID: "S1", GROUPME_BOT_ID: "BOT", GENERATE_WEEKS: "4" });
+    mockSpreadsheets({ S1: { Schedule: schedule, Rosters: ROSTERS } });
+
+    generateSchedule();
+
+    expect(schedule[0]).toEqual([...SCHEDULE_HEADER, "Host"]);
+    expect(schedule.slice(2).map((r) => r.slice(1))).toEqual([
+      ["Study", "Park", "Tacos", "Di & Ed", "Ann"],
+      ["Study", "Park", "Soup", "Flo & Cy", "Bob"],
+    ]);
+    expect(schedule.slice(2).map((r) => day(r[0]) - day(schedule[1][0].toISOString().slice(0, 10)))).toEqual([7, 14]);
+
+    generateSchedule();
+    expect(schedule).toHaveLength(4);
+    expect(lock.waitLock).toHaveBeenCalledTimes(2);
+    expect(lock.releaseLock).toHaveBeenCalledTimes(2);
+  });
+
+  test("generated blackout rows keep their reason, so they stay No Group without the Blackouts sheet", () => {
+    const schedule = [[...SCHEDULE_HEADER], [makeDateDaysFromNow(7), "Study", "Park", "Pizza", "Cy"]];
+    const sheets = {
+      Schedule: schedule,
+      Rosters: ROSTERS,
+      Blackouts: [["Start", "End", "Reason"], [makeDateDaysFromNow(13), makeDateDaysFromNow(15), "Retreat"]],
+    };
+    mockScriptProperties({ SHEET_ID: "S1", GROUPME_BOT_ID: "BOT", GENERATE_WEEKS: "4" });
+    mockSpreadsheets({ S1: sheets });
+
+    generateSchedule();
+
+    expect(schedule[0]).toEqual([...SCHEDULE_HEADER, "Blackout", "Host"]);
+    expect(schedule[2].slice(1, 6)).toEqual(["", "", "", "", "Retreat"]);
+    delete sheets.Blackouts;
+    expect(parseScheduleRows_(schedule).slice(1).map(isNoGroupRow_)).toEqual([true, false]);
+  });
+
+  test("previewSchedule writes the planned rows to SchedulePreview without touching the Schedule or Preview", () => {
+    const schedule = [[...SCHEDULE_HEADER], [makeDateDaysFromNow(7), "Study", "Park", "Pizza", "Cy"]];
+    const notifPreview = [["Field", "Value"], ["Group", "Mendez/Williams City Group"]];
+    const sheets = { Schedule: schedule, Rosters: ROSTERS, Preview: notifPreview };
+    mockScriptProperties({ SHEET_ID: "S1", GROUPME_BOT_ID: "BOT", GENERATE_WEEKS: "4" });
+    mockSpreadsheets({ S1: sheets });
+
+    const [result] = previewSchedule();
+
+    expect(result).toMatchObject({ dryRun: true, added: [expect.any(String), expect.any(String)] });
+    expect(schedule).toHaveLength(2);
+    expect(schedule[0]).toEqual(SCHEDULE_HEADER);
+    expect(sheets.Preview).toBe(notifPreview);
+    expect(notifPreview).toHaveLength(2);
+    expect(sheets.SchedulePreview[0]).toEqual(["Date", "Location", "Description", "Host", "Food Theme", "Childcare Duty"]);
+    expect(sheets.SchedulePreview.slice(1).map((r) => r.slice(1))).toEqual([
+      ["Park", "Study", "Ann", "Tacos", "Di & Ed"],
+      ["Park", "Study", "Bob", "Soup", "Flo & Cy"],
+    ]);
+    expect(sheets.SchedulePreview.slice(1).map((r) => r[0])).toEqual(result.added);
+    expect(lock.waitLock).not.toHaveBeenCalled();
+  });
+
+  test("a busy lock fails generation without adding rows", () => {
+    const schedule = [[...SCHEDULE_HEADER], [makeDateDaysFromNow(7), "Study", "Park", "Pizza", "Cy"]];
+    mockScriptProperties({ SHEET_ID: "S1", GROUPME_BOT_ID: "BOT", GENERATE_WEEKS: "4" });
+    mockSpreadsheets({ S1: { Schedule: schedule, Rosters: ROSTERS } });
+    lock.waitLock.mockImplementation(() => { throw new Error("Lock timeout"); });
+
+    expect(() => generateSchedule()).toThrow(/Lock timeout/);
+    expect(schedule).toHaveLength(2);
+  });
+
+  test("the meeting weekday comes from the latest meeting row, not No Group rows", () => {
+    mockScriptProperties({});
+    const data = [
+      SCHEDULE_HEADER,
+      ["2025-11-14", "Romans 6", "Park", "", ""],
+      ["2025-11-22", "Retreat", "No Group", "", ""],
+    ];
+    const records = planScheduleRows_(data, {}, [], {
+      baseDay: day("2025-11-15"),
+      weeks: 2,
+      weekday: getMeetingWeekday_(parseScheduleRows_(data)),
+    });
+
+    expect(records.map((r) => r.Date)).toEqual(["2025-11-28"]);
+    expect(() => getMeetingWeekday_(parseScheduleRows_([SCHEDULE_HEADER, ["2025-11-22", "Retreat", "No Group"]]))).toThrow(
+      /add a dated Schedule meeting row first/
+    );
+  });
+
+  test("an invalid MEETING_DAY fails the run", () => {
+    mockScriptProperties({ SHEET_ID: "S1", GROUPME_BOT_ID: "BOT", MEETING_DAY: "Funday" });
+    mockSpreadsheets({ S1: { Schedule: [SCHEDULE_HEADER], Rosters: ROSTERS } });
+
+    expect(() => generateSchedule()).toThrow(/Invalid MEETING_DAY "FUNDAY"/);
+  });
 });
@@ -60,466 +60,5030 @@ function getTestGroupMeBotId_() {
 var ScheduleSheetName = "Schedule";
 var EmailSheetName = "Emails";
 
-// Note: Date formatting uses the script timezone (Project Settings → Time zone).
+/**
+ * Schedule sheet columns, matched against the header row by name
+ * (case-insensitive, surrounding whitespace ignored). Columns may appear in
+ * any order; columns not listed here are still available on `row.fields`.
+ */
+var ScheduleColumns = [
+  { key: "date", header: "Date" },
+  { key: "description", header: "Description" },
+  { key: "location", header: "Location" },
+  { key: "foodTheme", header: "Food Theme" },
+  { key: "childcareDuty", header: "Childcare Duty" },
+  { key: "host", header: "Host", optional: true },
+  { key: "blackout", header: "Blackout", optional: true } // reason; filled from the Blackouts sheet
+];
+
+/**
+ * Blackouts sheet columns, matched by header: date ranges with no meeting.
+ * `End` defaults to `Start`; `Reason` defaults to `DefaultBlackoutReason`.
+ */
+var BlackoutColumns = [
+  { key: "start", header: "Start" },
+  { key: "end", header: "End", optional: true },
+  { key: "reason", header: "Reason", optional: true }
+];
+
+/**
+ * Schedule columns holding people's names, used for personal duty nudges.
+ * Cells may list several names separated by commas, "&", "/" or "and".
+ */
+var DutyColumns = [
+  { key: "childcareDuty", label: "childcare duty" },
+  { key: "host", label: "hosting / food" }
+];
+
+/**
+ * Schedule columns volunteers sign up for, listed by the open-slots digest
+ * when blank.
+ */
+var OpenSlotColumns = [
+  { key: "foodTheme", label: "Food Theme" },
+  { key: "childcareDuty", label: "Childcare Duty" }
+];
+
+/**
+ * Schedule columns `generateSchedule` fills from the Rosters sheet (matched by
+ * the same header), with how many entries each generated row gets.
+ */
+var RosterColumns = [
+  { key: "host", header: "Host", perWeek: 1 },
+  { key: "foodTheme", header: "Food Theme", perWeek: 1 },
+  { key: "childcareDuty", header: "Childcare Duty", perWeek: 2 } // childcare pairs
+];
+
+/**
+ * Emails sheet columns, matched by header. All are optional: without an
+ * `Email` header, emails are read from column A (the original layout).
+ */
+var EmailColumns = [
+  { key: "email", header: "Email", optional: true },
+  { key: "name", header: "Name", optional: true },
+  { key: "active", header: "Active", optional: true },
+  { key: "channel", header: "Channel", optional: true },
+  { key: "groupMeUserId", header: "GroupMe User ID", optional: true }
+];
+
+var EmailSendModes = ["to", "bcc", "individual"];
+
+var DefaultEventStartTime = "18:30";
+var DefaultEventEndTime = "20:30";
+var CalendarEventTagKey = "communityGroupKey"; // tags events created by syncCalendar
+
+var TemplatesSheetName = "Templates";
+var BlackoutsSheetName = "Blackouts";
+var RostersSheetName = "Rosters";
+var DefaultBlackoutReason = "no meeting this week";
+var SendLogSheetName = "SendLog";
+var SendLogHeaders = ["Timestamp", "Group", "Mode", "Row Date", "Channel", "Recipients", "Outcome", "Variant", "Delivered"];
+var PreviewSheetName = "Preview";
+var SchedulePreviewSheetName = "SchedulePreview";
+var ValidationSheetName = "Validation";
+var ValidationHeaders = ["Row", "Severity", "Issue", "Value"];
+var RsvpSheetName = "RSVPs";
+var RsvpHeaders = ["Timestamp", "Group", "Event Date", "Email", "Response", "Kids"];
+var RsvpResponses = { yes: "Yes", maybe: "Maybe", no: "No" }; // response → link label
+var RsvpMaxKids = 20;
+var RsvpLockWaitMs = 10000; // how long a response waits for another one to finish saving
+
+var GroupMeMaxAttempts = 3;
+var GroupMeRetryDelayMs = 1000; // doubled after each retry
+var GroupMeMaxMessageLength = 1000; // GroupMe rejects longer bot posts
+var DiscordMaxMessageLength = 2000;
+var GroupMeCommands = ["!next", "!schedule", "!food", "!childcare", "!help"];
+var ScheduleCommandDays = 28; // "!schedule" covers the next four weeks
+var DefaultGroupName = "Mendez/Williams City Group";
+
+// Entry points installTriggers() may schedule, and SEND_SCHEDULE day names.
+var TriggerFunctions = ["sendNotif", "sendDutyNudges", "sendOpenSlotsDigest", "syncCalendar", "validateSchedule"];
+var TriggerWeekDays = {
+  MON: "MONDAY", TUE: "TUESDAY", WED: "WEDNESDAY", THU: "THURSDAY", FRI: "FRIDAY", SAT: "SATURDAY", SUN: "SUNDAY",
+  DAILY: null
+};
+var InstalledTriggersProperty = "INSTALLED_TRIGGERS"; // written by installTriggers()
+
+/**
+ * Webhook notification channels (see `getNotifiers_`). `property` holds the
+ * prod URL for a single group; the test URL is the same property prefixed
+ * with `TEST_`. `buildPayloads` returns the JSON bodies to post.
+ */
+var WebhookChannels = [
+  { name: "webhook", label: "Webhook", property: "WEBHOOK_URL", buildPayloads: buildJsonWebhookPayloads_ },
+  { name: "slack", label: "Slack", property: "SLACK_WEBHOOK_URL", buildPayloads: buildSlackPayloads_ },
+  { name: "discord", label: "Discord", property: "DISCORD_WEBHOOK_URL", buildPayloads: buildDiscordPayloads_ },
+  { name: "sms", label: "SMS gateway", property: "SMS_WEBHOOK_URL", buildPayloads: buildSmsPayloads_ }
+];
+
+var DefaultLookaheadDays = 7;
+var DefaultOpenSlotsRows = 4; // upcoming rows scanned by sendOpenSlotsDigest
+var DefaultGenerateWeeks = 12; // weeks generateSchedule fills, about a quarter
+var ScheduleLockWaitMs = 30000; // how long generateSchedule waits for another run to finish
+var MeetingDays = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"]; // MEETING_DAY values, by getDay() index
+var MsPerDay = 24 * 60 * 60 * 1000;
+var ReminderVariants = ["weekly", "day-of"]; // see getReminderVariant_
+
+/**
+ * Default reminder templates, used when the Templates sheet is missing or a
+ * template cell is blank. See `renderTemplate_` for placeholder syntax.
+ * Keys suffixed with `:<variant>` apply to that reminder variant only (see
+ * `getTemplate_`).
+ */
+var DefaultTemplates = {
+  subject: "Reminder for {{GroupName}} on {{ShortDate}}",
+  email: `
+  <p><strong>Date:</strong> {{Date}}</p>
+  <p><strong>Description:</strong> {{Description}}</p>
+  <p><strong>Location:</strong> {{Location}}</p>
+  <p><strong>Food Theme:</strong> {{Food Theme}}</p>
+  <p><strong>Childcare Duty:</strong> {{Childcare Duty}}</p>
+  <p><a href="{{SignupUrl}}">Click here to sign up</a></p>
+`,
+  groupMe: [
+    "Reminder for {{GroupName}} on {{ShortDate}}",
+    "Description: {{Description}}",
+    "Location: {{Location}}",
+    "Food Theme: {{Food Theme}}",
+    "Childcare Duty: {{Childcare Duty}}",
+    "Sign up: {{SignupUrl}}"
+  ].join("\n"),
+  noGroup: "NO GROUP for {{GroupName}} on {{ShortDate}}",
+  blackout: "NO GROUP for {{GroupName}} on {{ShortDate}}: {{Blackout}}",
+  "subject:day-of": "Today: {{GroupName}} ({{ShortDate}})",
+  "groupMe:day-of": [
+    "Today: {{GroupName}} ({{ShortDate}})",
+    "Description: {{Description}}",
+    "Location: {{Location}}",
+    "Food Theme: {{Food Theme}}",
+    "Childcare Duty: {{Childcare Duty}}",
+    "Sign up: {{SignupUrl}}"
+  ].join("\n"),
+  digestSubject: "Reminder for {{GroupName}}: {{EventCount}} events starting {{ShortDate}}",
+  digestIntro: "{{EventCount}} events coming up for {{GroupName}}",
+  openSlotsSubject: "Still needed for {{GroupName}}: {{SlotCount}} open slot(s)",
+  openSlotsIntro: "Still needed for {{GroupName}} - can you help?",
+  rsvpPrompt: "Coming on {{ShortDate}}?",
+  rsvpSummary: "RSVPs so far: {{Headcount}} coming ({{Kids}} kids), {{Maybe}} maybe",
+  nudgeSubject: "You're on {{Duty}} for {{GroupName}} on {{ShortDate}}",
+  nudgeEmail: `
+  <p>Hi {{MemberName}},</p>
+  <p>Heads-up: you're signed up for <strong>{{Duty}}</strong> at {{GroupName}} on {{Date}}.</p>
+  <p><strong>Location:</strong> {{Location}}</p>
+  <p><a href="{{SignupUrl}}">View the schedule</a></p>
+`,
+  nudgeGroupMe: "@{{MemberName}} heads-up: you're on {{Duty}} for {{GroupName}} on {{ShortDate}} ({{Location}})."
+};
+
+// Note: Row dates are compared and formatted as calendar days in `TIME_ZONE` (see `getTimeZone_`), which defaults to
+// the script time zone (Project Settings → Time zone).
+
+// -----------------------------------------------------------------------------
+// Group registry
+// -----------------------------------------------------------------------------
+/**
+ * Parses the `GROUPS` script property into group configs.
+ *
+ * Value format: JSON array of objects with `name`, `sheetId`, and optional
+ * `emailSheet` (default "Emails"), `groupMeBotId`, `testGroupMeBotId` and
+ * `emailSendMode` (see `getEmailSendMode_`), `calendarId` (see `syncCalendar`),
+ * `groupMeGroupId` (see `doPost`), `signupFormUrl` (see `getRowSignupUrl_`) and
+ * `webhooks` (channel name → URL, see `getWebhookUrl_`).
+ * Entries are not validated here so one bad entry fails only that group's
+ * send (see `performReminderSend_`).
+ *
+ * @param {string} json `GROUPS` property value
+ * @returns {Array<{name:string,sheetId:string,emailSheet:string,groupMeBotId:string,testGroupMeBotId:string}>}
+ * @throws {Error} If the value is not a non-empty JSON array
+ */
+function parseGroups_(json) {
+  var parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (e) {
+    throw new Error("Script property GROUPS is not valid JSON: " + e.message);
+  }
+
+  if (!Array.isArray(parsed) || parsed.length === 0) {
+    throw new Error("Script property GROUPS must be a non-empty JSON array of groups.");
+  }
+
+  return parsed.map(function (g, i) {
+    g = g || {};
+    return {
+      name: (g.name || "").toString().trim() || "Group " + (i + 1),
+      sheetId: (g.sheetId || "").toString().trim(),
+      emailSheet: (g.emailSheet || "").toString().trim() || EmailSheetName,
+      groupMeBotId: (g.groupMeBotId || "").toString().trim(),
+      testGroupMeBotId: (g.testGroupMeBotId || "").toString().trim(),
+      emailSendMode: (g.emailSendMode || "").toString().trim(),
+      calendarId: (g.calendarId || "").toString().trim(),
+      groupMeGroupId: (g.groupMeGroupId || "").toString().trim(),
+      signupFormUrl: (g.signupFormUrl || "").toString().trim(),
+      webhooks: parseWebhooks_(g.webhooks)
+    };
+  });
+}
+
+/**
+ * Builds the single-group config from the legacy script properties
+ * (`SHEET_ID`, `GROUPME_BOT_ID`, `TEST_GROUPME_BOT_ID`, optional `GROUP_NAME`,
+ * `CALENDAR_ID`, `GROUPME_GROUP_ID`, `SIGNUP_FORM_URL` and the webhook URLs of
+ * `WebhookChannels`).
+ *
+ * @returns {{name:string,sheetId:string,emailSheet:string,groupMeBotId:string,testGroupMeBotId:string}}
+ * @throws {Error} If `SHEET_ID` is not configured
+ */
+function getDefaultGroup_() {
+  var props = PropertiesService.getScriptProperties();
+  return {
+    name: props.getProperty("GROUP_NAME") || DefaultGroupName,
+    sheetId: getSheetId_(),
+    emailSheet: EmailSheetName,
+    groupMeBotId: props.getProperty("GROUPME_BOT_ID") || "",
+    testGroupMeBotId: props.getProperty("TEST_GROUPME_BOT_ID") || "",
+    calendarId: props.getProperty("CALENDAR_ID") || "",
+    groupMeGroupId: props.getProperty("GROUPME_GROUP_ID") || "",
+    signupFormUrl: props.getProperty("SIGNUP_FORM_URL") || "",
+    webhooks: parseWebhooks_(WebhookChannels.reduce(function (webhooks, channel) {
+      webhooks[channel.name] = props.getProperty(channel.property);
+      return webhooks;
+    }, {}))
+  };
+}
+
+/**
+ * Keeps the known, non-blank webhook channel URLs of a `webhooks` object.
+ *
+ * @param {any} value `webhooks` value (channel name → URL)
+ * @returns {Object<string,string>} Webhook URLs by channel name
+ */
+function parseWebhooks_(value) {
+  var webhooks = {};
+  WebhookChannels.forEach(function (channel) {
+    var url = value && typeof value === "object" ? (value[channel.name] || "").toString().trim() : "";
+    if (url) webhooks[channel.name] = url;
+  });
+  return webhooks;
+}
+
+/**
+ * Returns all configured groups.
+ *
+ * Script property key: `GROUPS` (see `parseGroups_`). When unset, falls back
+ * to a single group built from the legacy properties.
+ *
+ * @returns {Array<{name:string,sheetId:string,emailSheet:string,groupMeBotId:string,testGroupMeBotId:string}>}
+ */
+function getGroups_() {
+  var json = PropertiesService.getScriptProperties().getProperty("GROUPS");
+  return json ? parseGroups_(json) : [getDefaultGroup_()];
+}
 
 // -----------------------------------------------------------------------------
 // Sheet access
 // -----------------------------------------------------------------------------
 /**
- * Loads all values from a named sheet within the configured spreadsheet.
+ * Loads all values from a named sheet within the configured spreadsheet.
+ *
+ * @param {string} sheetName Sheet tab name
+ * @param {string} [optSheetId] Spreadsheet ID (defaults to `SHEET_ID`)
+ * @returns {Array<Array<any>>} 2D array of values (rows x columns)
+ * @throws {Error} If the tab does not exist
+ */
+function getSheetData_(sheetName, optSheetId) {
+  var ss = SpreadsheetApp.openById(optSheetId || getSheetId_());
+  var sheet = ss.getSheetByName(sheetName);
+  if (!sheet) {
+    throw new Error(
+      "The " + sheetName + " tab is missing from the spreadsheet. Check the tab name (run checkSetup to see all problems)."
+    );
+  }
+
+  return sheet.getDataRange().getValues(); // 2D array
+}
+
+/**
+ * Loads all values from a named sheet, or returns null when the tab does not
+ * exist. Use for optional configuration tabs.
+ *
+ * @param {string} sheetName Sheet tab name
+ * @param {string} [optSheetId] Spreadsheet ID (defaults to `SHEET_ID`)
+ * @returns {Array<Array<any>>|null} 2D array of values, or null if the sheet is missing
+ */
+function getOptionalSheetData_(sheetName, optSheetId) {
+  var ss = SpreadsheetApp.openById(optSheetId || getSheetId_());
+  var sheet = ss.getSheetByName(sheetName);
+
+  return sheet ? sheet.getDataRange().getValues() : null;
+}
+
+/**
+ * Returns a named sheet, creating it with a frozen header row if missing.
+ *
+ * @param {string} sheetName Sheet tab name
+ * @param {string[]} headers Header row for a newly created sheet
+ * @param {string} [optSheetId] Spreadsheet ID (defaults to `SHEET_ID`)
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} Sheet
+ */
+function getOrCreateSheet_(sheetName, headers, optSheetId) {
+  var ss = SpreadsheetApp.openById(optSheetId || getSheetId_());
+  var sheet = ss.getSheetByName(sheetName);
+  if (!sheet) {
+    sheet = ss.insertSheet(sheetName);
+    sheet.appendRow(headers);
+    sheet.setFrozenRows(1);
+  }
+
+  return sheet;
+}
+
+/**
+ * Appends a record to a sheet, placing each value under its matching header.
+ *
+ * Headers are matched case-insensitively; keys with no matching header are
+ * added as new columns so older sheets pick up new fields.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet Sheet with a header row
+ * @param {Object<string, any>} record Values keyed by header name
+ * @returns {void}
+ */
+function appendRecord_(sheet, record) {
+  var lastColumn = sheet.getLastColumn();
+  var headerRow = lastColumn > 0 ? sheet.getRange(1, 1, 1, lastColumn).getValues()[0] : [];
+  var normalized = headerRow.map(normalizeHeader_);
+  var values = {};
+
+  Object.keys(record).forEach(function (key) {
+    var name = normalizeHeader_(key);
+    values[name] = record[key];
+    if (normalized.indexOf(name) === -1) {
+      headerRow.push(key);
+      normalized.push(name);
+      sheet.getRange(1, headerRow.length).setValue(key);
+    }
+  });
+
+  sheet.appendRow(normalized.map(function (name) {
+    return Object.prototype.hasOwnProperty.call(values, name) ? values[name] : "";
+  }));
+}
+
+// -----------------------------------------------------------------------------
+// Schedule lookup
+// -----------------------------------------------------------------------------
+/**
+ * Normalizes a header cell for comparison (trimmed, lower-case, single spaces).
+ *
+ * @param {any} value Header cell value
+ * @returns {string} Normalized header text
+ */
+function normalizeHeader_(value) {
+  return (value || "").toString().trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+/**
+ * Maps named columns to their index in a header row.
+ *
+ * @param {Array<any>} headerRow First row of the sheet
+ * @param {Array<{key:string,header:string,optional?:boolean}>} columns Expected columns
+ * @param {string} sheetName Sheet tab name (used in error messages)
+ * @returns {Object<string, number>} Column index keyed by column `key` (-1 when an optional column is absent)
+ * @throws {Error} If a required header is missing
+ */
+function mapHeaderColumns_(headerRow, columns, sheetName) {
+  var normalized = (headerRow || []).map(normalizeHeader_);
+  var indexes = {};
+  var missing = [];
+
+  for (var i = 0; i < columns.length; i++) {
+    var index = normalized.indexOf(normalizeHeader_(columns[i].header));
+    if (index === -1 && !columns[i].optional) {
+      missing.push(columns[i].header);
+    }
+    indexes[columns[i].key] = index;
+  }
+
+  if (missing.length > 0) {
+    throw new Error(
+      "The " + sheetName + " sheet is missing required column(s): " + missing.join(", ") +
+      ". Check the header row (row 1) of the " + sheetName + " tab."
+    );
+  }
+
+  return indexes;
+}
+
+/**
+ * Converts Schedule sheet values into named-field row objects.
+ *
+ * The first row is treated as the header. Each row object has the standard
+ * fields from `ScheduleColumns` plus `fields`, which maps every header
+ * (including extra columns such as "Host") to its cell value, and
+ * `rowNumber` (1-based sheet row). `date` is parsed with `parseSheetDate_`
+ * and is null when the cell is blank or invalid; `day` is its calendar day
+ * (NaN when invalid, see `getCalendarDay_`); `fields` keeps the raw cell.
+ * `dayIndex` numbers rows sharing a date in sheet order (1 for the first,
+ * 0 without a date).
+ *
+ * @param {Array<Array<any>>} data 2D array of Schedule sheet values
+ * @returns {Array<Object>} Row objects, in sheet order
+ * @throws {Error} If a required header is missing
+ */
+function parseScheduleRows_(data) {
+  if (!data || data.length === 0) return [];
+
+  var headerRow = data[0];
+  var indexes = mapHeaderColumns_(headerRow, ScheduleColumns, ScheduleSheetName);
+  var rows = [];
+  var rowsByDay = {};
+
+  for (var i = 1; i < data.length; i++) { // Skip header row.
+    var values = data[i];
+    var row = { fields: {}, rowNumber: i + 1 };
+
+    for (var c = 0; c < ScheduleColumns.length; c++) {
+      var index = indexes[ScheduleColumns[c].key];
+      row[ScheduleColumns[c].key] = index === -1 ? "" : values[index];
+    }
+    row.day = parseSheetDate_(row.date) ? getCalendarDay_(row.date) : NaN;
+    row.date = parseSheetDate_(row.date);
+    row.dayIndex = isNaN(row.day) ? 0 : (rowsByDay[row.day] = (rowsByDay[row.day] || 0) + 1);
+
+    for (var h = 0; h < headerRow.length; h++) {
+      var header = (headerRow[h] || "").toString().trim();
+      if (header) {
+        row.fields[header] = values[h];
+      }
+    }
+
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Parses date text into calendar parts.
+ *
+ * Accepts mm/dd/yy, mm/dd/yyyy, yyyy-mm-dd, or text with a month name (e.g.
+ * "Jan 12, 2025"). Impossible dates such as "13/40/25" are rejected rather
+ * than rolled over.
+ *
+ * @param {any} value Text value
+ * @returns {{year:number,month:number,day:number}|null} Parts (month is 1-12), or null when blank or invalid
+ */
+function parseDateParts_(value) {
+  if (value === null || value === undefined || typeof value === "number" || value instanceof Date) return null;
+
+  var s = value.toString().trim();
+  if (!s) return null;
+
+  function build(year, month, day) {
+    var d = new Date(Date.UTC(year, month - 1, day));
+    return d.getUTCFullYear() === year && d.getUTCMonth() === month - 1 && d.getUTCDate() === day
+      ? { year: year, month: month, day: day }
+      : null;
+  }
+
+  var m = s.match(/^(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{2}|\d{4})$/);
+  if (m) {
+    var year = parseInt(m[3], 10);
+    if (year < 100) year += 2000; // interpret 2-digit years as 20xx
+    return build(year, parseInt(m[1], 10), parseInt(m[2], 10));
+  }
+
+  var iso = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (iso) {
+    return build(parseInt(iso[1], 10), parseInt(iso[2], 10), parseInt(iso[3], 10));
+  }
+
+  if (/[a-z]/i.test(s)) {
+    var generic = new Date(s); // text without a time parses to local midnight
+    if (!isNaN(generic.getTime())) {
+      return build(generic.getFullYear(), generic.getMonth() + 1, generic.getDate());
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parses a date from a sheet cell or script property.
+ *
+ * Accepts a Date or anything `parseDateParts_` does. Parsed text is returned
+ * at local midnight; Date values are returned as-is. For comparisons use
+ * `getCalendarDay_`, which does not depend on the runtime time zone.
+ *
+ * @param {any} value Cell or property value
+ * @returns {Date|null} Parsed date, or null when blank or invalid
+ */
+function parseSheetDate_(value) {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+
+  var parts = parseDateParts_(value);
+  return parts ? new Date(parts.year, parts.month - 1, parts.day) : null;
+}
+
+// -----------------------------------------------------------------------------
+// Blackouts
+// -----------------------------------------------------------------------------
+/**
+ * Parses Blackouts sheet values into calendar-day ranges.
+ *
+ * Rows with a blank or invalid date, or an End before Start, are logged and
+ * skipped.
+ *
+ * @param {Array<Array<any>>|null} data 2D array of Blackouts sheet values
+ * @returns {Array<{startDay:number,endDay:number,reason:string}>}
+ * @throws {Error} If the Start column is missing
+ */
+function parseBlackouts_(data) {
+  if (!data || data.length < 2) return [];
+
+  var indexes = mapHeaderColumns_(data[0], BlackoutColumns, BlackoutsSheetName);
+  var blackouts = [];
+
+  for (var i = 1; i < data.length; i++) {
+    var values = data[i];
+    var start = values[indexes.start];
+    var end = indexes.end === -1 || values[indexes.end] === "" || values[indexes.end] === null ? start : values[indexes.end];
+    var reason = indexes.reason === -1 ? "" : (values[indexes.reason] || "").toString().trim();
+    if ((start === "" || start === null) && !reason) continue; // blank row
+
+    if (!parseSheetDate_(start) || !parseSheetDate_(end) || getCalendarDay_(end) < getCalendarDay_(start)) {
+      Logger.log("Ignoring " + BlackoutsSheetName + " row " + (i + 1) + ": invalid Start/End dates.");
+      continue;
+    }
+
+    blackouts.push({
+      startDay: getCalendarDay_(start),
+      endDay: getCalendarDay_(end),
+      reason: reason || DefaultBlackoutReason
+    });
+  }
+
+  return blackouts;
+}
+
+/**
+ * Marks Schedule rows dated within a blackout by filling their `Blackout`
+ * column (added when missing) with the blackout reason; such rows count as
+ * "No Group" (see `isNoGroupRow_`). A reason already typed in the Schedule's
+ * own `Blackout` column is kept.
+ *
+ * @param {Array<Array<any>>} data 2D array of Schedule sheet values
+ * @param {Array<{startDay:number,endDay:number,reason:string}>} blackouts Blackouts (see `parseBlackouts_`)
+ * @returns {Array<Array<any>>} Schedule values with blackouts applied (a copy when any apply)
+ */
+function applyBlackouts_(data, blackouts) {
+  if (!data || data.length === 0 || blackouts.length === 0) return data;
+
+  var dateIndex = mapHeaderColumns_(data[0], ScheduleColumns, ScheduleSheetName).date;
+  var header = data[0].slice();
+  var index = header.map(normalizeHeader_).indexOf(normalizeHeader_("Blackout"));
+  if (index === -1) {
+    index = header.length;
+    header.push("Blackout");
+  }
+
+  return [header].concat(data.slice(1).map(function (values) {
+    var row = values.slice();
+    while (row.length < header.length) row.push("");
+    if ((row[index] || "").toString().trim() !== "" || !parseSheetDate_(row[dateIndex])) return row;
+
+    var day = getCalendarDay_(row[dateIndex]);
+    var blackout = blackouts.filter(function (b) { return day >= b.startDay && day <= b.endDay; })[0];
+    if (blackout) row[index] = blackout.reason;
+    return row;
+  }));
+}
+
+/**
+ * Loads the Schedule sheet with the Blackouts sheet applied (see
+ * `applyBlackouts_`). Use this instead of reading the Schedule tab directly.
+ *
+ * @param {string} sheetId Spreadsheet ID
+ * @returns {Array<Array<any>>} 2D array of Schedule values
+ */
+function getScheduleData_(sheetId) {
+  return applyBlackouts_(
+    getSheetData_(ScheduleSheetName, sheetId),
+    parseBlackouts_(getOptionalSheetData_(BlackoutsSheetName, sheetId))
+  );
+}
+
+// -----------------------------------------------------------------------------
+// Calendar days
+// -----------------------------------------------------------------------------
+// Dates are compared as calendar days (whole days since 1970-01-01) in the
+// configured time zone, so results do not depend on the runtime's local time
+// or on DST transitions.
+
+/**
+ * Returns the time zone used for calendar-day math.
+ *
+ * Script property key: `TIME_ZONE` (optional, IANA name such as
+ * "America/Chicago"); defaults to the script time zone. Set it to the
+ * spreadsheet's time zone when that differs from the script's, so Date cells
+ * are read as the day the sheet shows.
+ *
+ * @returns {string} Time zone id
+ */
+function getTimeZone_() {
+  var value = (PropertiesService.getScriptProperties().getProperty("TIME_ZONE") || "").toString().trim();
+  return value || Session.getScriptTimeZone();
+}
+
+/**
+ * Returns the calendar date an instant falls on in a time zone.
+ *
+ * @param {Date} date Instant
+ * @param {string} timeZone Time zone id
+ * @returns {{year:number,month:number,day:number}} Parts (month is 1-12)
+ */
+function getZonedDateParts_(date, timeZone) {
+  var parts = {};
+  new Intl.DateTimeFormat("en-US", { timeZone: timeZone, year: "numeric", month: "numeric", day: "numeric" })
+    .formatToParts(date)
+    .forEach(function (part) { parts[part.type] = part.value; });
+
+  return { year: parseInt(parts.year, 10), month: parseInt(parts.month, 10), day: parseInt(parts.day, 10) };
+}
+
+/**
+ * Returns the calendar day for a value.
+ *
+ * - number: already a calendar day
+ * - Date: the day the instant falls on in `getTimeZone_()` (sheet date cells
+ *   are instants at midnight in the spreadsheet's time zone)
+ * - text: parsed with `parseDateParts_`; no time zone is involved
+ *
+ * @param {any} value Calendar day, Date or date text
+ * @param {string} [optTimeZone] Time zone for Date values (default `getTimeZone_()`)
+ * @returns {number} Calendar day, or NaN when blank or invalid
+ */
+function getCalendarDay_(value, optTimeZone) {
+  if (typeof value === "number") return isFinite(value) ? Math.floor(value) : NaN;
+
+  var parts = value instanceof Date
+    ? (isNaN(value.getTime()) ? null : getZonedDateParts_(value, optTimeZone || getTimeZone_()))
+    : parseDateParts_(value);
+
+  return parts ? Date.UTC(parts.year, parts.month - 1, parts.day) / MsPerDay : NaN;
+}
+
+/**
+ * Returns the calendar day of a Schedule row (see `parseScheduleRows_`).
+ *
+ * @param {Object} row Schedule row object
+ * @returns {number} Calendar day, or NaN when the row has no valid date
+ */
+function getRowDay_(row) {
+  if (typeof row.day === "number") return row.day;
+  return row.date ? getCalendarDay_(row.date) : NaN;
+}
+
+/**
+ * Returns the calendar day of an optional base date override.
+ *
+ * Without an override, returns today in `getTimeZone_()`. Text is parsed with
+ * `parseDateParts_`; a Date override is a date-only value (e.g. from
+ * `parseBaseDate_`), so its local calendar fields are used. Unparseable input
+ * falls back to today.
+ *
+ * @param {any} [optBaseDate] Base date override
+ * @returns {number} Calendar day
+ */
+function getBaseDay_(optBaseDate) {
+  if (optBaseDate instanceof Date && !isNaN(optBaseDate.getTime())) {
+    return Date.UTC(optBaseDate.getFullYear(), optBaseDate.getMonth(), optBaseDate.getDate()) / MsPerDay;
+  }
+
+  var parts = parseDateParts_(optBaseDate);
+  if (parts) return Date.UTC(parts.year, parts.month - 1, parts.day) / MsPerDay;
+
+  return getCalendarDay_(new Date());
+}
+
+/**
+ * Formats a calendar day with a Utilities.formatDate pattern. The day is
+ * formatted as-is, without time zone conversion.
+ *
+ * @param {number} day Calendar day
+ * @param {string} pattern Utilities.formatDate pattern (e.g., "MM-dd")
+ * @returns {string} Formatted date string
+ */
+function formatCalendarDay_(day, pattern) {
+  return Utilities.formatDate(new Date(day * MsPerDay + MsPerDay / 2), "UTC", pattern);
+}
+
+/**
+ * Normalizes an optional base date to a date-only value: local midnight of
+ * the base calendar day (see `getBaseDay_`).
+ *
+ * @param {any} [optDate] Base date override
+ * @returns {Date} Base date at local midnight
+ */
+function parseBaseDate_(optDate) {
+  var d = new Date(getBaseDay_(optDate) * MsPerDay);
+  return new Date(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+}
+
+/**
+ * Returns the base date override for the test entry points from Script
+ * Property `TEST_BASE_DATE` (see `parseBaseDate_`), or undefined when unset.
+ *
+ * @returns {Date|undefined}
+ * @throws {Error} If the property is set but does not parse, so a test run never silently uses today
+ */
+function getTestBaseDate_() {
+  var value = (PropertiesService.getScriptProperties().getProperty("TEST_BASE_DATE") || "").toString().trim();
+  if (!value) return undefined;
+  if (!parseDateParts_(value)) {
+    throw new Error("Invalid TEST_BASE_DATE \"" + value + "\". Use mm/dd/yy, mm/dd/yyyy or yyyy-mm-dd, or clear it.");
+  }
+  return parseBaseDate_(value);
+}
+
+/**
+ * Finds the first upcoming Schedule row in the lookahead window: rows dated
+ * from the base date's calendar day through `lookahead` days later.
+ *
+ * The Date column is located by header. The earliest-dated row wins even on
+ * an out-of-order sheet (see `getUpcomingRows_`), so this agrees with the row
+ * `selectReminderRow_` announces; on a tie the first in sheet order wins.
+ *
+ * @param {Array<Array<any>>} data 2D array of Schedule sheet values
+ * @param {any} [optBaseDate] Base date override (see `parseBaseDate_`)
+ * @param {number} [optLookaheadDays] Window length in days (default 7; see `getLookaheadDays_`)
+ * @returns {Object|null} First matching row object, or null if none
+ * @throws {Error} If a required Schedule header is missing
+ */
+function getNextUpcomingRow_(data, optBaseDate, optLookaheadDays) {
+  return getUpcomingRows_(data, optBaseDate, optLookaheadDays)[0] || null;
+}
+
+/**
+ * Returns every Schedule row in the lookahead window (see
+ * `getNextUpcomingRow_`), ordered by date; rows on the same date keep their
+ * sheet order.
+ *
+ * @param {Array<Array<any>>} data 2D array of Schedule sheet values
+ * @param {any} [optBaseDate] Base date override (see `parseBaseDate_`)
+ * @param {number} [optLookaheadDays] Window length in days (default 7)
+ * @returns {Array<Object>} Row objects (may be empty)
+ * @throws {Error} If a required Schedule header is missing
+ */
+function getUpcomingRows_(data, optBaseDate, optLookaheadDays) {
+  return filterWindowRows_(parseScheduleRows_(data), optBaseDate, optLookaheadDays)
+    .map(function (row, index) { return { row: row, index: index, days: getRowDay_(row) }; })
+    .sort(function (a, b) { return a.days - b.days || a.index - b.index; })
+    .map(function (entry) { return entry.row; });
+}
+
+/**
+ * Keeps the rows dated from the base date's calendar day through the
+ * lookahead window, in sheet order.
+ *
+ * @param {Array<Object>} rows Row objects (see `parseScheduleRows_`)
+ * @param {any} [optBaseDate] Base date override (see `parseBaseDate_`)
+ * @param {number} [optLookaheadDays] Window length in days (default 7)
+ * @returns {Array<Object>} Rows in the window
+ */
+function filterWindowRows_(rows, optBaseDate, optLookaheadDays) {
+  var today = getBaseDay_(optBaseDate);
+  var lookahead = typeof optLookaheadDays === "number" ? optLookaheadDays : DefaultLookaheadDays;
+
+  return rows.filter(function (row) {
+    var days = getRowDay_(row) - today;
+    return days >= 0 && days <= lookahead;
+  });
+}
+
+/**
+ * Returns the reminder lookahead window in days.
+ *
+ * Script property key: `LOOKAHEAD_DAYS` (optional, default 7).
+ *
+ * @returns {number} Non-negative number of days
+ */
+function getLookaheadDays_() {
+  var value = PropertiesService.getScriptProperties().getProperty("LOOKAHEAD_DAYS");
+  var parsed = parseInt(value, 10);
+  if (value && (isNaN(parsed) || parsed < 0)) {
+    Logger.log("Invalid LOOKAHEAD_DAYS \"" + value + "\"; using " + DefaultLookaheadDays + ".");
+  }
+  return isNaN(parsed) || parsed < 0 ? DefaultLookaheadDays : parsed;
+}
+
+/**
+ * Returns the configured reminder cadences, in days before the meeting.
+ *
+ * Script property key: `REMINDER_CADENCES` (optional), comma-separated, e.g.
+ * "6,0" for a weekly reminder 6 days ahead plus a day-of reminder. When unset,
+ * the first row in the lookahead window is used (see `selectReminderRow_`).
+ * Invalid entries are logged and ignored.
+ *
+ * @returns {number[]} Distinct day offsets, in configured order (may be empty)
+ */
+function getReminderCadences_() {
+  var value = PropertiesService.getScriptProperties().getProperty("REMINDER_CADENCES");
+  var cadences = [];
+
+  (value || "").toString().split(",").forEach(function (part) {
+    var s = part.trim();
+    if (!s) return;
+    var days = /^\d+$/.test(s) ? parseInt(s, 10) : NaN;
+    if (isNaN(days)) {
+      Logger.log("Ignoring invalid REMINDER_CADENCES entry: " + s);
+    } else if (cadences.indexOf(days) === -1) {
+      cadences.push(days);
+    }
+  });
+
+  return cadences;
+}
+
+/**
+ * Returns the reminder variant for a cadence: "day-of" on the meeting day,
+ * otherwise "weekly".
+ *
+ * @param {number} daysBefore Days between the reminder and the meeting
+ * @returns {string} One of `ReminderVariants`
+ */
+function getReminderVariant_(daysBefore) {
+  return daysBefore === 0 ? "day-of" : "weekly";
+}
+
+/**
+ * Chooses the Schedule row to remind about today.
+ *
+ * `windowRow` is the earliest row in the lookahead window and drives organizer
+ * notices. Without cadences, it is also the reminder row ("weekly" variant).
+ * With cadences, the reminder row is the nearest row dated exactly one of the
+ * cadences from the base date, or null when no reminder is due today.
+ *
+ * `rows` lists every event the reminder covers (see `composeDigestReminder_`):
+ * all rows in the window, or for a cadence reminder, the window rows from the
+ * reminder row on. A "day-of" reminder covers only its own row.
+ *
+ * When cadences match several rows today (e.g. "6,0" on a meeting day with
+ * another meeting 6 days out), `more` lists a selection for each matched row
+ * not already covered by an earlier one, nearest first, so each is sent.
+ *
+ * @param {Array<Array<any>>} data 2D array of Schedule sheet values
+ * @param {any} [optBaseDate] Base date override (see `parseBaseDate_`)
+ * @param {number} lookaheadDays Window length in days
+ * @param {number[]} cadences Days-before offsets (see `getReminderCadences_`)
+ * @returns {{windowRow:Object|null,row:Object|null,rows:Array<Object>,variant:string,daysBefore:(number|null),more:Array<Object>}}
+ */
+function selectReminderRow_(data, optBaseDate, lookaheadDays, cadences) {
+  var windowRows = getUpcomingRows_(data, optBaseDate, lookaheadDays);
+  var windowRow = windowRows[0] || null; // earliest by date, so it matches the digest's first event
+  if (!cadences || cadences.length === 0) {
+    return { windowRow: windowRow, row: windowRow, rows: windowRows, variant: "weekly", daysBefore: null, more: [] };
+  }
+
+  var base = getBaseDay_(optBaseDate);
+  var matches = parseScheduleRows_(data)
+    .map(function (row) { return { row: row, daysBefore: getRowDay_(row) - base }; })
+    .filter(function (match) { return cadences.indexOf(match.daysBefore) !== -1; })
+    .sort(function (a, b) { return a.daysBefore - b.daysBefore || a.row.rowNumber - b.row.rowNumber; });
+
+  var selections = [];
+  matches.forEach(function (match) {
+    var covered = selections.some(function (s) { return s.rows.indexOf(match.row) !== -1; });
+    if (covered) return;
+
+    var variant = getReminderVariant_(match.daysBefore);
+    var rows = [match.row];
+    if (variant === "weekly") {
+      windowRows.forEach(function (row) {
+        if (row !== match.row && getRowDay_(row) - base >= match.daysBefore) rows.push(row);
+      });
+    }
+    selections.push({ windowRow: windowRow, row: match.row, rows: rows, variant: variant, daysBefore: match.daysBefore });
+  });
+
+  if (selections.length === 0) {
+    return { windowRow: windowRow, row: null, rows: [], variant: "", daysBefore: null, more: [] };
+  }
+  selections[0].more = selections.slice(1);
+  return selections[0];
+}
+
+/**
+ * Returns true when the schedule row represents a "No Group" meeting.
+ *
+ * Convention: the Location column contains the string "No Group", or the
+ * row's Blackout column is non-blank (typed in, or filled from the Blackouts
+ * sheet by `applyBlackouts_`).
+ *
+ * @param {Object|null} row Schedule row object (see `parseScheduleRows_`)
+ * @returns {boolean}
+ */
+function isNoGroupRow_(row) {
+  if (!row) return false;
+  var location = (row.location || "").toString().trim().toLowerCase();
+  return location === "no group" || (row.blackout || "").toString().trim() !== "";
+}
+
+/**
+ * Returns the template key for a "No Group" row: `blackout` (which includes
+ * the `{{Blackout}}` reason) for blacked-out rows, else `noGroup`.
+ *
+ * @param {Object} row Schedule row object
+ * @returns {"blackout"|"noGroup"}
+ */
+function getNoGroupTemplateKey_(row) {
+  return (row.blackout || "").toString().trim() !== "" ? "blackout" : "noGroup";
+}
+
+/**
+ * Formats the calendar day of a sheet date value (see `getCalendarDay_`).
+ *
+ * This centralizes date output so printed dates always match the day used
+ * for comparisons.
+ *
+ * @param {any} value Calendar day, or Date-like value from the sheet (e.g., a Date cell)
+ * @param {string} pattern Utilities.formatDate pattern (e.g., "MM-dd")
+ * @returns {string} Formatted date string
+ */
+function formatRowDate_(value, pattern) {
+  return formatCalendarDay_(getCalendarDay_(value), pattern);
+}
+
+/**
+ * Returns a short MM-dd formatted date for a sheet value.
+ *
+ * @param {any} value Calendar day, or Date-like value from the sheet
+ * @returns {string} Short date string in MM-dd
+ */
+function getShortDate_(value) {
+  return formatRowDate_(value, "MM-dd");
+}
+
+// -----------------------------------------------------------------------------
+// Templates
+// -----------------------------------------------------------------------------
+/**
+ * Parses Templates sheet values into a template map.
+ *
+ * Expects `Key` and `Template` headers. Keys match `DefaultTemplates`
+ * (`subject`, `email`, `groupMe`, `noGroup`, `nudgeSubject`, `nudgeEmail`,
+ * `nudgeGroupMe`; case-insensitive). Blank
+ * templates are ignored so the default is used instead.
+ *
+ * @param {Array<Array<any>>|null} data 2D array of Templates sheet values
+ * @returns {Object<string, string>} Templates keyed by `DefaultTemplates` key
+ */
+function parseTemplates_(data) {
+  var templates = {};
+  if (!data || data.length === 0) return templates;
+
+  var indexes = mapHeaderColumns_(data[0], [
+    { key: "key", header: "Key" },
+    { key: "template", header: "Template" }
+  ], TemplatesSheetName);
+
+  var knownKeys = {};
+  Object.keys(DefaultTemplates).forEach(function (k) {
+    if (k.indexOf(":") === -1) knownKeys[normalizeHeader_(k)] = k;
+  });
+
+  for (var i = 1; i < data.length; i++) { // Skip header row.
+    var name = normalizeHeader_(data[i][indexes.key]);
+    var template = (data[i][indexes.template] || "").toString();
+    if (!name) continue;
+
+    var parts = name.split(":");
+    var baseKey = knownKeys[parts[0].trim()];
+    var variant = parts.length === 2 ? parts[1].trim() : "";
+    if (!baseKey || parts.length > 2 || (parts.length === 2 && ReminderVariants.indexOf(variant) === -1)) {
+      Logger.log("Ignoring unknown template key in " + TemplatesSheetName + " sheet: " + data[i][indexes.key]);
+      continue;
+    }
+    if (template.trim()) {
+      templates[variant ? baseKey + ":" + variant : baseKey] = template;
+    }
+  }
+
+  return templates;
+}
+
+/**
+ * Loads reminder templates from the Templates sheet, if present.
+ *
+ * Keys may carry a reminder variant suffix (e.g. "subject:day-of").
+ *
+ * @param {string} [optSheetId] Spreadsheet ID (defaults to `SHEET_ID`)
+ * @returns {Object<string, string>} Templates keyed by `DefaultTemplates` key (may be empty)
+ */
+function loadTemplates_(optSheetId) {
+  return parseTemplates_(getOptionalSheetData_(TemplatesSheetName, optSheetId));
+}
+
+/**
+ * Returns the template for a key, falling back to `DefaultTemplates`.
+ *
+ * When the context has a reminder `variant`, a `<key>:<variant>` template
+ * (sheet first, then default) takes precedence over the plain key.
+ *
+ * @param {{templates?:Object<string,string>,variant?:string}|undefined} ctx Reminder context
+ * @param {string} key Template key
+ * @returns {string} Template text
+ */
+function getTemplate_(ctx, key) {
+  var templates = (ctx && ctx.templates) || {};
+  var variantKey = ctx && ctx.variant ? key + ":" + ctx.variant : "";
+  return (variantKey && (templates[variantKey] || DefaultTemplates[variantKey])) ||
+    templates[key] || DefaultTemplates[key];
+}
+
+/**
+ * Returns the group name from the reminder context, or the default.
+ *
+ * @param {{groupName?:string}|undefined} ctx Reminder context
+ * @returns {string} Group name
+ */
+function getGroupName_(ctx) {
+  return (ctx && ctx.groupName) || DefaultGroupName;
+}
+
+/**
+ * Escapes a value for safe inclusion in HTML text or attribute values.
+ *
+ * @param {any} value Value to escape
+ * @returns {string} Escaped HTML
+ */
+function escapeHtml_(value) {
+  return (value === null || value === undefined ? "" : value.toString())
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Builds placeholder values for a schedule row.
+ *
+ * Every Schedule column is available by its header (e.g. `{{Food Theme}}`,
+ * `{{Host}}`), plus `{{Date}}` (long date), `{{ShortDate}}` (MM-dd),
+ * `{{GroupName}}` and, when provided, `{{SignupUrl}}`. Formatted dates are
+ * functions so they are only computed when a template uses them.
+ *
+ * @param {Object} row Schedule row object
+ * @param {{groupName?:string}|undefined} ctx Reminder context
+ * @param {string} [signupUrl] Sign-up URL
+ * @returns {Object<string, (string|function():string)>} Values keyed by normalized placeholder name
+ */
+function getTemplateValues_(row, ctx, signupUrl) {
+  var values = {};
+  var fields = row.fields || {};
+
+  Object.keys(fields).forEach(function (header) {
+    var value = fields[header];
+    values[normalizeHeader_(header)] = value instanceof Date
+      ? function () { return formatRowDate_(value, "EEEE, MMMM d, yyyy"); }
+      : (value === null || value === undefined ? "" : value.toString());
+  });
+
+  for (var i = 0; i < ScheduleColumns.length; i++) {
+    var standard = row[ScheduleColumns[i].key];
+    var name = normalizeHeader_(ScheduleColumns[i].header);
+    if (standard === undefined && Object.prototype.hasOwnProperty.call(values, name)) continue;
+    values[name] = standard === null || standard === undefined ? "" : standard.toString();
+  }
+
+  values["date"] = function () { return formatRowDate_(getRowDay_(row), "EEEE, MMMM d, yyyy"); };
+  values["shortdate"] = function () { return getShortDate_(getRowDay_(row)); };
+  values["groupname"] = getGroupName_(ctx);
+  if (signupUrl !== undefined) {
+    values["signupurl"] = signupUrl;
+  }
+  if (ctx && ctx.rsvp) {
+    var counts = getRsvpCounts_(ctx.rsvps, getGroupName_(ctx), getSendLogDateKey_(getRowDay_(row)));
+    values["headcount"] = counts.yes.toString();
+    values["maybe"] = counts.maybe.toString();
+    values["kids"] = counts.kids.toString();
+  }
+
+  return values;
+}
+
+/**
+ * Replaces `{{Placeholder}}` tokens in a template.
+ *
+ * Placeholder names are matched case-insensitively. Unknown placeholders are
+ * left as-is so typos are visible in the output.
+ *
+ * @param {string} template Template text
+ * @param {Object<string, (string|function():string)>} values Values keyed by normalized name (see `getTemplateValues_`)
+ * @param {function(string):string} [optEscape] Escapes each substituted value (e.g. `escapeHtml_`)
+ * @returns {string} Rendered text
+ */
+function renderTemplate_(template, values, optEscape) {
+  return (template || "").toString().replace(/\{\{([^{}]+)\}\}/g, function (match, name) {
+    var key = normalizeHeader_(name);
+    if (!Object.prototype.hasOwnProperty.call(values, key)) return match;
+    var value = typeof values[key] === "function" ? values[key]() : values[key];
+    return optEscape ? optEscape(value) : value;
+  });
+}
+
+// -----------------------------------------------------------------------------
+// Email content
+// -----------------------------------------------------------------------------
+/**
+ * Builds the HTML email body for a schedule row.
+ *
+ * Renders the `email` template (or `noGroup` / `blackout` for "No Group" rows,
+ * see `getNoGroupTemplateKey_`). Substituted values are HTML-escaped.
+ *
+ * @param {Object|null} row Schedule row object (see `parseScheduleRows_`)
+ * @param {{templates?:Object<string,string>,groupName?:string,signupUrl?:string}} [optContext] Reminder context
+ * @returns {string} HTML email body
+ */
+function buildEmailBody_(row, optContext) {
+  if (!row) return "No upcoming events found.";
+
+  if (isNoGroupRow_(row)) {
+    return renderTemplate_(getTemplate_(optContext, getNoGroupTemplateKey_(row)), getTemplateValues_(row, optContext), escapeHtml_);
+  }
+
+  var values = getTemplateValues_(row, optContext, getRowSignupUrl_(row, optContext));
+
+  return renderTemplate_(getTemplate_(optContext, "email"), values, escapeHtml_);
+}
+
+/**
+ * Builds the email subject for a schedule row.
+ *
+ * Default format: "Reminder for Mendez/Williams City Group on 12-17", or the
+ * `noGroup` / `blackout` template for "No Group" rows.
+ *
+ * @param {Object|null} row Schedule row object (see `parseScheduleRows_`)
+ * @param {{templates?:Object<string,string>,groupName?:string}} [optContext] Reminder context
+ * @returns {string} Email subject
+ */
+function buildEmailSubject_(row, optContext) {
+  if (!row) return "Reminder for " + getGroupName_(optContext);
+
+  var values = getTemplateValues_(row, optContext);
+  if (isNoGroupRow_(row)) {
+    return renderTemplate_(getTemplate_(optContext, getNoGroupTemplateKey_(row)), values);
+  }
+
+  return renderTemplate_(getTemplate_(optContext, "subject"), values);
+}
+
+/**
+ * Builds a plaintext GroupMe message for a schedule row (no HTML).
+ *
+ * - For "No Group" rows (see `isNoGroupRow_`), renders the single-line
+ *   `noGroup` template, or `blackout` (with the reason) when the row's
+ *   Blackout column is set.
+ * - Otherwise renders the `groupMe` template (subject line, details, signup link).
+ *
+ * @param {Object|null} row Schedule row object (see `parseScheduleRows_`)
+ * @param {{templates?:Object<string,string>,groupName?:string,signupUrl?:string}} [optContext] Reminder context
+ * @returns {string} Plaintext message suitable for GroupMe
+ */
+function buildGroupMeMessage_(row, optContext) {
+  if (!row) return "Reminder for " + getGroupName_(optContext);
+
+  if (isNoGroupRow_(row)) {
+    return renderTemplate_(getTemplate_(optContext, getNoGroupTemplateKey_(row)), getTemplateValues_(row, optContext));
+  }
+
+  var values = getTemplateValues_(row, optContext, getRowSignupUrl_(row, optContext));
+  var message = renderTemplate_(getTemplate_(optContext, "groupMe"), values);
+  if (optContext && optContext.rsvp) {
+    message += "\n" + renderTemplate_(getTemplate_(optContext, "rsvpSummary"), values);
+  }
+
+  return message;
+}
+
+// -----------------------------------------------------------------------------
+// Digest content
+// -----------------------------------------------------------------------------
+/**
+ * Returns placeholder values for a digest: the first row's values plus
+ * `{{EventCount}}`.
+ *
+ * @param {Array<Object>} rows Schedule row objects, in date order
+ * @param {{groupName?:string}|undefined} ctx Reminder context
+ * @returns {Object<string, (string|function():string)>} Values (see `getTemplateValues_`)
+ */
+function getDigestValues_(rows, ctx) {
+  var values = getTemplateValues_(rows[0], ctx);
+  values["eventcount"] = rows.length.toString();
+  return values;
+}
+
+/**
+ * Builds the email subject for several events, or the single-event subject
+ * when there is at most one row.
+ *
+ * @param {Array<Object>} rows Schedule row objects, in date order
+ * @param {{templates?:Object<string,string>,groupName?:string}} [optContext] Reminder context
+ * @returns {string} Email subject
+ */
+function buildDigestSubject_(rows, optContext) {
+  if (rows.length <= 1) return buildEmailSubject_(rows[0] || null, optContext);
+  return renderTemplate_(getTemplate_(optContext, "digestSubject"), getDigestValues_(rows, optContext));
+}
+
+/**
+ * Builds an HTML email listing each event, or the single-event body when
+ * there is at most one row.
+ *
+ * The `digestIntro` line is followed by each row's `email` (or `noGroup`)
+ * body, separated by horizontal rules.
+ *
+ * @param {Array<Object>} rows Schedule row objects, in date order
+ * @param {{templates?:Object<string,string>,groupName?:string,signupUrl?:string}} [optContext] Reminder context
+ * @returns {string} HTML email body
+ */
+function buildDigestEmailBody_(rows, optContext) {
+  if (rows.length <= 1) return buildEmailBody_(rows[0] || null, optContext);
+
+  var intro = renderTemplate_(getTemplate_(optContext, "digestIntro"), getDigestValues_(rows, optContext), escapeHtml_);
+  return "<p><strong>" + intro + "</strong></p>\n" + rows.map(function (row) {
+    var body = buildEmailBody_(row, optContext);
+    return isNoGroupRow_(row) ? "<p>" + body + "</p>" : body;
+  }).join("\n<hr>\n");
+}
+
+/**
+ * Builds a plaintext GroupMe message listing each event, or the single-event
+ * message when there is at most one row.
+ *
+ * @param {Array<Object>} rows Schedule row objects, in date order
+ * @param {{templates?:Object<string,string>,groupName?:string,signupUrl?:string}} [optContext] Reminder context
+ * @returns {string} Plaintext message (split later if too long; see `splitGroupMeMessage_`)
+ */
+function buildDigestGroupMeMessage_(rows, optContext) {
+  if (rows.length <= 1) return buildGroupMeMessage_(rows[0] || null, optContext);
+
+  var intro = renderTemplate_(getTemplate_(optContext, "digestIntro"), getDigestValues_(rows, optContext));
+  return [intro].concat(rows.map(function (row) {
+    return buildGroupMeMessage_(row, optContext);
+  })).join("\n\n");
+}
+
+// -----------------------------------------------------------------------------
+// Calendar events
+// -----------------------------------------------------------------------------
+/**
+ * Parses an "HH:mm" time of day.
+ *
+ * @param {string} value Time string (e.g. "18:30")
+ * @param {string} fallback Value used when `value` is blank or invalid
+ * @returns {{hours:number,minutes:number}}
+ */
+function parseTimeOfDay_(value, fallback) {
+  var m = (value || "").toString().trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!m || parseInt(m[1], 10) > 23 || parseInt(m[2], 10) > 59) {
+    if (value) Logger.log("Invalid time \"" + value + "\"; using " + fallback + ".");
+    m = fallback.match(/^(\d{1,2}):(\d{2})$/);
+  }
+
+  return { hours: parseInt(m[1], 10), minutes: parseInt(m[2], 10) };
+}
+
+/**
+ * Returns the start and end of the meeting for a row, in `getTimeZone_()`.
+ *
+ * Script property keys: `EVENT_START_TIME` and `EVENT_END_TIME` ("HH:mm",
+ * defaults 18:30 and 20:30).
+ *
+ * @param {Object} row Schedule row object
+ * @returns {{start:Date,end:Date}}
+ */
+function getEventTimes_(row) {
+  var props = PropertiesService.getScriptProperties();
+  var day = formatRowDate_(getRowDay_(row), "yyyy-MM-dd");
+  var tz = getTimeZone_();
+
+  function at(time) {
+    var hh = ("0" + time.hours).slice(-2);
+    var mm = ("0" + time.minutes).slice(-2);
+    return Utilities.parseDate(day + " " + hh + ":" + mm, tz, "yyyy-MM-dd HH:mm");
+  }
+
+  return {
+    start: at(parseTimeOfDay_(props.getProperty("EVENT_START_TIME"), DefaultEventStartTime)),
+    end: at(parseTimeOfDay_(props.getProperty("EVENT_END_TIME"), DefaultEventEndTime))
+  };
+}
+
+/**
+ * Returns the calendar event title for a row (e.g. "City Group: Study night").
+ *
+ * @param {Object} row Schedule row object
+ * @param {{groupName?:string}} ctx Reminder context
+ * @returns {string} Event title
+ */
+function getEventTitle_(row, ctx) {
+  var description = (row.description || "").toString().trim();
+  return description ? getGroupName_(ctx) + ": " + description : getGroupName_(ctx);
+}
+
+/**
+ * Returns the plain-text calendar event description for a row.
+ *
+ * @param {Object} row Schedule row object
+ * @param {{signupUrl?:string}} ctx Reminder context
+ * @returns {string} Event description
+ */
+function getEventDescription_(row, ctx) {
+  var lines = [
+    "Food Theme: " + (row.foodTheme || ""),
+    "Childcare Duty: " + (row.childcareDuty || "")
+  ];
+  if (ctx && ctx.signupUrl) lines.push("Sign up: " + getRowSignupUrl_(row, ctx));
+
+  return lines.join("\n");
+}
+
+/**
+ * Escapes text for an iCalendar property value (RFC 5545 section 3.3.11).
+ *
+ * @param {any} value Text value
+ * @returns {string} Escaped text
+ */
+function escapeIcsText_(value) {
+  return (value === null || value === undefined ? "" : value.toString())
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Folds an iCalendar content line to at most 75 octets per line (RFC 5545
+ * section 3.1), never splitting a multibyte character.
+ *
+ * @param {string} line Unfolded content line
+ * @returns {string} Folded line (CRLF + space continuation)
+ */
+function foldIcsLine_(line) {
+  var out = "";
+  var octets = 0;
+  Array.from(line).forEach(function (ch) {
+    var cp = ch.codePointAt(0);
+    var size = cp < 0x80 ? 1 : cp < 0x800 ? 2 : cp < 0x10000 ? 3 : 4;
+    if (octets + size > 75) {
+      out += "\r\n ";
+      octets = 1; // the leading space
+    }
+    out += ch;
+    octets += size;
+  });
+
+  return out;
+}
+
+/**
+ * Builds a stable identifier for a group's meeting on a row's date. Used as
+ * the iCalendar UID and the synced calendar event tag.
+ *
+ * Further rows on the same date (e.g. a lunch plus an evening meeting) get a
+ * "#<n>" suffix from `row.dayIndex`, so each keeps its own event.
+ *
+ * @param {Object} row Schedule row object
+ * @param {{groupName?:string}} ctx Reminder context
+ * @returns {string} Event key (e.g. "2025-01-12-city-group", or "2025-01-12-city-group#2")
+ */
+function getEventKey_(row, ctx) {
+  var slug = getGroupName_(ctx).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  var key = formatRowDate_(getRowDay_(row), "yyyy-MM-dd") + "-" + slug;
+  return row.dayIndex > 1 ? key + "#" + row.dayIndex : key;
+}
+
+/**
+ * Builds an iCalendar (.ics) document with a single event for a row.
+ *
+ * @param {Object} row Schedule row object
+ * @param {{groupName?:string,signupUrl?:string}} ctx Reminder context
+ * @returns {string} iCalendar text (CRLF line endings)
+ */
+function buildIcsEvent_(row, ctx) {
+  var times = getEventTimes_(row);
+  function utc(date) {
+    return Utilities.formatDate(date, "UTC", "yyyyMMdd'T'HHmmss'Z'");
+  }
+
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//community-group-google-scripts//EN",
+    "METHOD:PUBLISH",
+    "BEGIN:VEVENT",
+    "UID:" + getEventKey_(row, ctx) + "@community-group-google-scripts",
+    "DTSTAMP:" + utc(new Date()),
+    "DTSTART:" + utc(times.start),
+    "DTEND:" + utc(times.end),
+    "SUMMARY:" + escapeIcsText_(getEventTitle_(row, ctx)),
+    "LOCATION:" + escapeIcsText_(row.location),
+    "DESCRIPTION:" + escapeIcsText_(getEventDescription_(row, ctx)),
+    "END:VEVENT",
+    "END:VCALENDAR"
+  ].map(foldIcsLine_).join("\r\n") + "\r\n";
+}
+
+/**
+ * Returns the .ics attachments for a reminder email, one per meeting row
+ * ("No Group" rows are skipped), or undefined when there are none or
+ * `ATTACH_ICS` is "false". A single invite is named "event.ics"; several are
+ * named by date (e.g. "event-2025-01-12.ics").
+ *
+ * Problems building the attachments are logged rather than thrown so the
+ * reminder still goes out without them.
+ *
+ * @param {Array<Object>} rows Schedule row objects covered by the reminder
+ * @param {{groupName?:string,signupUrl?:string}} ctx Reminder context
+ * @returns {Array<GoogleAppsScript.Base.Blob>|undefined} Attachments
+ */
+function getReminderAttachments_(rows, ctx) {
+  var meetings = (rows || []).filter(function (row) { return row && !isNoGroupRow_(row); });
+  if (meetings.length === 0) return undefined;
+  var enabled = PropertiesService.getScriptProperties().getProperty("ATTACH_ICS");
+  if ((enabled || "").toString().trim().toLowerCase() === "false") return undefined;
+
+  try {
+    return meetings.map(function (row) {
+      var name = meetings.length === 1 ? "event.ics" : "event-" + formatRowDate_(getRowDay_(row), "yyyy-MM-dd") + ".ics";
+      return Utilities.newBlob(buildIcsEvent_(row, ctx), "text/calendar", name);
+    });
+  } catch (e) {
+    Logger.log("Could not build .ics attachment: " + (e && e.message ? e.message : e));
+    return undefined;
+  }
+}
+
+/**
+ * Syncs a group's future Schedule rows into a Google Calendar.
+ *
+ * Events created here are tagged (`CalendarEventTagKey`) with the event key,
+ * so later runs update them in place. Rows that became "No Group", and tagged
+ * events whose row was removed or re-dated, are deleted. Untagged events on
+ * the calendar are never touched.
+ *
+ * @param {{group?:Object,optBaseDate?:any}} opts
+ * @returns {{group:string,ok:boolean,channels:Object,created:number,updated:number,deleted:number}}
+ * @throws {Error} If no calendar is configured or it cannot be opened
+ */
+function performCalendarSync_(opts) {
+  var group = opts && opts.group;
+  var sheetId = resolveGroupSheetId_(group);
+  var ctx = getReminderContext_(group, sheetId);
+  var result = { group: getGroupName_(ctx), ok: true, channels: {}, created: 0, updated: 0, deleted: 0 };
+
+  var calendarId = group ? group.calendarId : PropertiesService.getScriptProperties().getProperty("CALENDAR_ID");
+  if (!calendarId) {
+    throw new Error(
+      "Missing calendar id for group \"" + result.group + "\". Set calendarId in the GROUPS script property " +
+      "(or CALENDAR_ID for a single group)."
+    );
+  }
+  var calendar = CalendarApp.getCalendarById(calendarId);
+  if (!calendar) {
+    throw new Error("Calendar " + calendarId + " was not found or is not shared with the script account.");
+  }
+
+  var rows = getFutureScheduleRows_(getScheduleData_(sheetId), opts && opts.optBaseDate);
+  var from = parseBaseDate_(opts && opts.optBaseDate);
+  from.setHours(0, 0, 0, 0);
+  var until = new Date(from);
+  until.setFullYear(until.getFullYear() + 2);
+
+  var keySuffix = getEventKey_({ day: getBaseDay_(opts && opts.optBaseDate) }, ctx).slice(10); // "-<group slug>"
+  var existing = {};
+  calendar.getEvents(from, until).forEach(function (event) {
+    var key = event.getTag(CalendarEventTagKey);
+    if (key && key.slice(10).replace(/#\d+$/, "") === keySuffix) existing[key] = event;
+  });
+
+  var wanted = {};
+  rows.forEach(function (row) {
+    if (isNoGroupRow_(row)) return;
+
+    var key = getEventKey_(row, ctx);
+    var times = getEventTimes_(row);
+    var title = getEventTitle_(row, ctx);
+    var description = getEventDescription_(row, ctx);
+    var location = (row.location || "").toString();
+    wanted[key] = true;
+
+    var event = existing[key];
+    if (!event) {
+      event = calendar.createEvent(title, times.start, times.end, { description: description, location: location });
+      event.setTag(CalendarEventTagKey, key);
+      result.created++;
+      return;
+    }
+
+    var changed = false;
+    if (event.getTitle() !== title) { event.setTitle(title); changed = true; }
+    if (event.getDescription() !== description) { event.setDescription(description); changed = true; }
+    if (event.getLocation() !== location) { event.setLocation(location); changed = true; }
+    if (event.getStartTime().getTime() !== times.start.getTime() ||
+        event.getEndTime().getTime() !== times.end.getTime()) {
+      event.setTime(times.start, times.end);
+      changed = true;
+    }
+    if (changed) result.updated++;
+  });
+
+  Object.keys(existing).forEach(function (key) {
+    if (!wanted[key]) {
+      existing[key].deleteEvent();
+      result.deleted++;
+    }
+  });
+
+  Logger.log(
+    "Calendar sync for " + result.group + ": " + result.created + " created, " +
+    result.updated + " updated, " + result.deleted + " deleted."
+  );
+  return result;
+}
+
+// -----------------------------------------------------------------------------
+// Recipient lookup
+// -----------------------------------------------------------------------------
+/**
+ * Returns false for Active cell values that mean a member opted out
+ * (unchecked checkbox, "no", "false", "inactive", "opt-out", ...). Blank is active.
+ *
+ * @param {any} value Active cell value
+ * @returns {boolean}
+ */
+function isActiveValue_(value) {
+  if (value === false) return false;
+  var s = normalizeHeader_(value).replace(/[-_]/g, " ");
+  return ["no", "n", "false", "inactive", "opt out", "opted out", "optout", "unsubscribed"].indexOf(s) === -1;
+}
+
+/**
+ * Normalizes a Channel preference cell to "email", "groupme" or "both".
+ *
+ * @param {any} value Channel cell value (blank means both)
+ * @returns {"email"|"groupme"|"both"}
+ */
+function normalizeChannelPreference_(value) {
+  var s = normalizeHeader_(value).replace(/[\s-]/g, "");
+  if (s === "email") return "email";
+  if (s === "groupme") return "groupme";
+  return "both";
+}
+
+/**
+ * Parses Emails sheet values into member records.
+ *
+ * Reads the `Email`, `Name`, `Active`, `Channel` and `GroupMe User ID`
+ * columns by header (see `EmailColumns`); without an `Email` header, column A is used. Rows without
+ * an email are skipped.
+ *
+ * @param {Array<Array<any>>} data 2D array of Emails sheet values
+ * @returns {Array<{email:string,name:string,active:boolean,channel:"email"|"groupme"|"both",groupMeUserId:string}>}
+ */
+function parseMembers_(data) {
+  if (!data || data.length === 0) return [];
+
+  var indexes = mapHeaderColumns_(data[0], EmailColumns, EmailSheetName);
+  var emailIndex = indexes.email === -1 ? 0 : indexes.email; // Column A
+  var members = [];
+
+  for (var i = 1; i < data.length; i++) { // Skip header row.
+    var email = (data[i][emailIndex] || "").toString().trim();
+    if (!email) continue;
+
+    members.push({
+      email: email,
+      name: indexes.name === -1 ? "" : (data[i][indexes.name] || "").toString().trim(),
+      active: indexes.active === -1 ? true : isActiveValue_(data[i][indexes.active]),
+      channel: indexes.channel === -1 ? "both" : normalizeChannelPreference_(data[i][indexes.channel]),
+      groupMeUserId: indexes.groupMeUserId === -1 ? "" : (data[i][indexes.groupMeUserId] || "").toString().trim()
+    });
+  }
+
+  return members;
+}
+
+/**
+ * Loads member records from the group's Emails sheet.
+ *
+ * @param {{sheetId:string,emailSheet:string}} [optGroup] Group config (defaults to `SHEET_ID` / "Emails")
+ * @returns {Array<{email:string,name:string,active:boolean,channel:string}>}
+ */
+function getMembers_(optGroup) {
+  var data = optGroup
+    ? getSheetData_(optGroup.emailSheet, optGroup.sheetId)
+    : getSheetData_(EmailSheetName);
+
+  return parseMembers_(data);
+}
+
+/**
+ * Loads reminder email recipients from the configured Emails sheet.
+ *
+ * Skips inactive (opted-out) members and members whose Channel preference
+ * is GroupMe only.
+ *
+ * @param {{sheetId:string,emailSheet:string}} [optGroup] Group config (defaults to `SHEET_ID` / "Emails")
+ * @returns {Array<{email:string,name:string}>} Recipients
+ */
+function getEmailRecipients_(optGroup) {
+  return getMembers_(optGroup)
+    .filter(function (m) { return m.active && m.channel !== "groupme"; })
+    .map(function (m) { return { email: m.email, name: m.name }; });
+}
+
+/**
+ * Loads test recipients from Script Properties.
+ *
+ * Script property key: `TEST_EMAIL_RECIPIENTS`.
+ * Value format: comma-separated list (e.g. "a@example.com,b@example.com").
+ *
+ * @returns {string[]} Email addresses
+ * @throws {Error} If `TEST_EMAIL_RECIPIENTS` is not configured
+ */
+function getTestEmailRecipients_() {
+  var value = PropertiesService.getScriptProperties().getProperty("TEST_EMAIL_RECIPIENTS");
+  if (!value) {
+    throw new Error(
+      "Missing script property TEST_EMAIL_RECIPIENTS. Set it in Project Settings → Script properties (comma-separated emails)."
+    );
+  }
+
+  return parseEmailList_(value);
+}
+
+/**
+ * Splits a comma-separated list of emails, trimming blanks.
+ *
+ * @param {string} value Comma-separated emails (e.g. "a@example.com,b@example.com")
+ * @returns {string[]} Email addresses
+ */
+function parseEmailList_(value) {
+  return (value || "")
+    .toString()
+    .split(",")
+    .map(function (e) { return (e || "").toString().trim(); })
+    .filter(function (e) { return !!e; });
+}
+
+/**
+ * Loads organizer/admin emails from Script Properties.
+ *
+ * Script property key: `ADMIN_EMAILS` (optional, comma-separated).
+ *
+ * @returns {string[]} Email addresses (empty when not configured)
+ */
+function getAdminEmails_() {
+  return parseEmailList_(PropertiesService.getScriptProperties().getProperty("ADMIN_EMAILS"));
+}
+
+/**
+ * Best-effort email validation.
+ *
+ * This is a practical check (not full RFC compliance) to catch obvious issues.
+ *
+ * @param {string} email Email address to validate
+ * @returns {boolean} True if the email looks valid
+ */
+function isValidEmail_(email) {
+  if (!email) return false;
+  if (email.length > 320) return false;
+  // Practical (not fully RFC) validation.
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+// -----------------------------------------------------------------------------
+// Send log
+// -----------------------------------------------------------------------------
+/**
+ * Returns the yyyy-MM-dd key used to match send log entries to a row date.
+ *
+ * @param {any} value Calendar day, or Date-like value (logged Row Date cell)
+ * @returns {string} Date key, or "" when blank or invalid
+ */
+function getSendLogDateKey_(value) {
+  var day = value === "" || value === null || value === undefined ? NaN : getCalendarDay_(value);
+  return isNaN(day) ? "" : formatCalendarDay_(day, "yyyy-MM-dd");
+}
+
+/**
+ * Returns true when the send log already has a successful prod send for the
+ * same group, row date, channel and reminder variant.
+ *
+ * A blank variant (including entries logged before the Variant column
+ * existed) counts as "weekly".
+ *
+ * @param {Array<Array<any>>|null} logData 2D array of SendLog sheet values
+ * @param {string} groupName Group name
+ * @param {string} rowDateKey Row date key (see `getSendLogDateKey_`)
+ * @param {string} channel Channel name (e.g. "email", "groupme")
+ * @param {string} [optVariant] Reminder variant (default "weekly")
+ * @returns {boolean}
+ */
+function hasPriorSend_(logData, groupName, rowDateKey, channel, optVariant) {
+  return findPriorSends_(logData, groupName, rowDateKey, channel, optVariant).some(function (entry) {
+    return entry.outcome === "sent";
+  });
+}
+
+/**
+ * Returns what earlier partial prod sends for the same group, row date,
+ * channel and variant already delivered (their `Delivered` cells), so a retry
+ * can skip it.
+ *
+ * @param {Array<Array<any>>|null} logData 2D array of SendLog sheet values
+ * @param {string} groupName Group name
+ * @param {string} rowDateKey Row date key (see `getSendLogDateKey_`)
+ * @param {string} channel Channel name
+ * @param {string} [optVariant] Reminder variant (default "weekly")
+ * @returns {string[]} Delivered items (e.g. emails or GroupMe part numbers like "1/3"), without duplicates
+ */
+function getPriorDelivered_(logData, groupName, rowDateKey, channel, optVariant) {
+  var delivered = [];
+  findPriorSends_(logData, groupName, rowDateKey, channel, optVariant).forEach(function (entry) {
+    if (entry.outcome.indexOf("partial") !== 0) return;
+    entry.delivered.split(",").forEach(function (item) {
+      item = item.trim();
+      if (item && delivered.indexOf(item) === -1) delivered.push(item);
+    });
+  });
+  return delivered;
+}
+
+/**
+ * Returns the prod SendLog entries for a group, row date, channel and variant
+ * (see `hasPriorSend_`).
+ *
+ * @param {Array<Array<any>>|null} logData 2D array of SendLog sheet values
+ * @param {string} groupName Group name
+ * @param {string} rowDateKey Row date key (see `getSendLogDateKey_`)
+ * @param {string} channel Channel name
+ * @param {string} [optVariant] Reminder variant (default "weekly")
+ * @returns {Array<{outcome:string,delivered:string}>} Matching entries, in log order
+ */
+function findPriorSends_(logData, groupName, rowDateKey, channel, optVariant) {
+  var entries = [];
+  if (!logData || logData.length < 2 || !rowDateKey) return entries;
+
+  var indexes = mapHeaderColumns_(logData[0], [
+    { key: "group", header: "Group" },
+    { key: "mode", header: "Mode" },
+    { key: "rowDate", header: "Row Date" },
+    { key: "channel", header: "Channel" },
+    { key: "variant", header: "Variant", optional: true },
+    { key: "outcome", header: "Outcome" },
+    { key: "delivered", header: "Delivered", optional: true }
+  ], SendLogSheetName);
+  var variant = optVariant || "weekly";
+
+  for (var i = 1; i < logData.length; i++) {
+    var entry = logData[i];
+    var entryVariant = indexes.variant >= 0 ? (entry[indexes.variant] || "").toString() : "";
+    if (
+      (entry[indexes.group] || "").toString() === groupName &&
+      entry[indexes.mode] === "prod" &&
+      entry[indexes.channel] === channel &&
+      (entryVariant || "weekly") === variant &&
+      getSendLogDateKey_(entry[indexes.rowDate]) === rowDateKey
+    ) {
+      entries.push({
+        outcome: (entry[indexes.outcome] || "").toString(),
+        delivered: indexes.delivered >= 0 ? (entry[indexes.delivered] || "").toString() : ""
+      });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Appends an entry to the SendLog sheet, creating the sheet if needed.
+ *
+ * Failures to write the log are logged rather than thrown so a log problem
+ * never turns a completed send into an error.
+ *
+ * @param {string} sheetId Spreadsheet ID
+ * @param {{group:string,mode:string,rowDate:any,channel:string,variant?:string,recipients:(number|string),outcome:string,delivered?:string}} entry
+ * @returns {void}
+ */
+function recordSend_(sheetId, entry) {
+  try {
+    appendRecord_(getOrCreateSheet_(SendLogSheetName, SendLogHeaders, sheetId), {
+      "Timestamp": new Date(),
+      "Group": entry.group,
+      "Mode": entry.mode,
+      "Row Date": getSendLogDateKey_(entry.rowDate),
+      "Channel": entry.channel,
+      "Variant": entry.variant || "",
+      "Recipients": entry.recipients,
+      "Outcome": entry.outcome,
+      "Delivered": entry.delivered || ""
+    });
+  } catch (e) {
+    Logger.log("Failed to write " + SendLogSheetName + " entry: " + (e && e.message ? e.message : e));
+  }
+}
+
+/**
+ * Returns true when a channel should be skipped as a duplicate prod send.
+ *
+ * @param {{group:string,mode:string,rowDate:any,variant?:string,force:boolean,sendLog:Array<Array<any>>|null}} log Send log context
+ * @param {string} channel Channel name
+ * @returns {boolean}
+ */
+function isDuplicateSend_(log, channel) {
+  return log.mode === "prod" && !log.force &&
+    hasPriorSend_(log.sendLog, log.group, getSendLogDateKey_(log.rowDate), channel, log.variant);
+}
+
+/**
+ * Creates the error a channel throws when it failed after delivering part of
+ * a send (see `sendWithLog_`).
+ *
+ * @param {string} message Error message
+ * @param {string[]} delivered What this attempt delivered (e.g. GroupMe part numbers like "1/3")
+ * @returns {Error} Error carrying `delivered`
+ */
+function partialSendError_(message, delivered) {
+  var error = new Error(message);
+  error.delivered = delivered || [];
+  return error;
+}
+
+/**
+ * Sends one channel with duplicate protection and send logging.
+ *
+ * In prod mode a channel that already sent for the same row date is skipped
+ * (and logged as such) unless `log.force` is set. Errors thrown by `send` are
+ * caught and reported in the result so other channels still go out.
+ *
+ * A channel that fails after delivering part of the send throws
+ * `partialSendError_`; it is logged as "partial" with what was delivered in
+ * the `Delivered` column. The next prod run passes those items to `send`,
+ * which skips them and delivers the rest.
+ *
+ * @param {{sheetId:string,group:string,mode:string,rowDate:any,force:boolean,sendLog:Array<Array<any>>|null}} log Send log context
+ * @param {string} channel Channel name
+ * @param {function(string[]):(number|string)} send Sends the channel, skipping the already delivered items it is
+ *   given; returns the recipient count
+ * @returns {{ok:boolean,outcome:string,recipients:(number|string),error:string}} Channel result
+ */
+function sendWithLog_(log, channel, send) {
+  var entry = {
+    group: log.group, mode: log.mode, rowDate: log.rowDate, channel: channel, variant: log.variant, recipients: ""
+  };
+  var result = { ok: true, outcome: "", recipients: "", error: "" };
+
+  if (isDuplicateSend_(log, channel)) {
+    Logger.log("Skipping " + channel + " for " + log.group + ": already sent for " + getSendLogDateKey_(log.rowDate) + ".");
+    entry.outcome = result.outcome = "skipped (already sent)";
+    recordSend_(log.sheetId, entry);
+    return result;
+  }
+
+  var prior = log.mode === "prod" && !log.force ?
+    getPriorDelivered_(log.sendLog, log.group, getSendLogDateKey_(log.rowDate), channel, log.variant) : [];
+
+  try {
+    entry.recipients = result.recipients = send(prior);
+    entry.outcome = result.outcome = entry.recipients === 0 ? "no recipients" : "sent";
+  } catch (e) {
+    Logger.log("Sending " + channel + " failed for " + log.group + ": " + (e && e.stack ? e.stack : e));
+    result.ok = false;
+    result.error = (e && e.message ? e.message : e).toString();
+    var delivered = prior.concat((e && e.delivered) || []);
+    if (delivered.length > 0) {
+      entry.delivered = delivered.join(",");
+      entry.outcome = result.outcome = "partial: " + result.error;
+    } else {
+      entry.outcome = result.outcome = "failed: " + result.error;
+    }
+  }
+
+  recordSend_(log.sheetId, entry);
+  return result;
+}
+
+// -----------------------------------------------------------------------------
+// Organizer notices
+// -----------------------------------------------------------------------------
+/**
+ * Returns what to do when no event falls in the reminder window.
+ *
+ * Script property key: `EMPTY_SCHEDULE_POLICY` (optional):
+ * - `admins` (default): skip the group reminder and ask organizers to fill in the sheet
+ * - `skip`: skip the group reminder silently
+ * - `send`: send the "No upcoming events found." reminder to the group
+ *
+ * @returns {"admins"|"skip"|"send"}
+ */
+function getEmptySchedulePolicy_() {
+  var value = (PropertiesService.getScriptProperties().getProperty("EMPTY_SCHEDULE_POLICY") || "")
+    .toString().trim().toLowerCase();
+  if (!value) return "admins";
+  if (value === "admins" || value === "skip" || value === "send") return value;
+
+  Logger.log("Unknown EMPTY_SCHEDULE_POLICY \"" + value + "\"; using \"admins\".");
+  return "admins";
+}
+
+/**
+ * Returns the number of future Schedule rows below which organizers are warned.
+ *
+ * Script property key: `SCHEDULE_WARNING_ROWS` (optional, default 3; 0 disables).
+ *
+ * @returns {number}
+ */
+function getScheduleWarningRows_() {
+  var value = PropertiesService.getScriptProperties().getProperty("SCHEDULE_WARNING_ROWS");
+  var parsed = parseInt(value, 10);
+  return value === null || value === undefined || value === "" || isNaN(parsed) ? 3 : parsed;
+}
+
+/**
+ * Returns Schedule rows dated on or after the base date.
+ *
+ * @param {Array<Array<any>>} data 2D array of Schedule sheet values
+ * @param {any} [optBaseDate] Base date override (see `parseBaseDate_`)
+ * @returns {Array<Object>} Future row objects, in sheet order
+ */
+function getFutureScheduleRows_(data, optBaseDate) {
+  var today = getBaseDay_(optBaseDate);
+
+  return parseScheduleRows_(data).filter(function (row) {
+    return getRowDay_(row) >= today;
+  });
+}
+
+/**
+ * Decides whether to skip the group reminder and which organizer notices to send.
+ *
+ * - No row in the window: follows `EMPTY_SCHEDULE_POLICY` (`skipReason` "no upcoming event").
+ * - Fewer than `SCHEDULE_WARNING_ROWS` future rows: warns that the schedule is running out, or has run
+ *   out when none are left (whatever the policy, so organizers learn of it under `skip`/`send` too).
+ *
+ * @param {Array<Array<any>>} data 2D array of Schedule sheet values
+ * @param {Object|null} nextRow Selected row, or null
+ * @param {any} optBaseDate Base date override
+ * @param {{groupName?:string,signupUrl?:string}} ctx Reminder context
+ * @param {number} [optLookaheadDays] Window length in days, for the notice text (default 7)
+ * @returns {{skipReminder:boolean,skipReason:string,notices:Array<{channel:string,subject:string,body:string}>}}
+ */
+function planOrganizerNotices_(data, nextRow, optBaseDate, ctx, optLookaheadDays) {
+  var plan = { skipReminder: false, skipReason: "", notices: [] };
+  var lookahead = typeof optLookaheadDays === "number" ? optLookaheadDays : DefaultLookaheadDays;
+  var groupName = getGroupName_(ctx);
+
+  if (!nextRow) {
+    var policy = getEmptySchedulePolicy_();
+    plan.skipReminder = policy !== "send";
+    plan.skipReason = plan.skipReminder ? "no upcoming event" : "";
+    if (policy === "admins") {
+      plan.notices.push({
+        channel: "empty-schedule",
+        subject: "No upcoming event scheduled for " + groupName,
+        body: "No Schedule row falls within the next " + lookahead + " days for " + groupName +
+          ", so no reminder was sent to the group.\n\n" +
+          "Please fill in the Schedule sheet: " + ((ctx && ctx.signupUrl) || getSignupUrl_())
+      });
+    }
+  }
+
+  var threshold = getScheduleWarningRows_();
+  var futureRows = getFutureScheduleRows_(data, optBaseDate);
+  if (threshold > 0 && futureRows.length === 0) {
+    plan.notices.push({
+      channel: "schedule-warning",
+      subject: "Schedule for " + groupName + " has run out",
+      body: "The Schedule sheet for " + groupName + " has no upcoming rows.\n\n" +
+        "Please add more weeks to the Schedule sheet: " + ((ctx && ctx.signupUrl) || getSignupUrl_())
+    });
+  } else if (threshold > 0 && futureRows.length < threshold) {
+    var lastDay = Math.max.apply(null, futureRows.map(getRowDay_));
+    var weeks = Math.max(0, Math.floor((lastDay - getBaseDay_(optBaseDate)) / 7));
+
+    plan.notices.push({
+      channel: "schedule-warning",
+      subject: "Schedule for " + groupName + " runs out in " + weeks + " week(s)",
+      body: "The Schedule sheet for " + groupName + " has only " + futureRows.length +
+        " upcoming row(s); the last one is on " + formatCalendarDay_(lastDay, "EEEE, MMMM d, yyyy") + ".\n\n" +
+        "Please add more weeks to the Schedule sheet."
+    });
+  }
+
+  return plan;
+}
+
+/**
+ * Emails a plain-text notice to organizers: `ADMIN_EMAILS` in prod mode, or the
+ * test recipients in test mode.
+ *
+ * @param {"prod"|"test"} mode
+ * @param {{subject:string,body:string}} notice Notice to send
+ * @returns {number} Number of recipients emailed (0 if nothing was sent)
+ */
+function sendOrganizerNotice_(mode, notice) {
+  var recipients = partitionRecipients_(mode === "prod" ? getAdminEmails_() : getTestEmailRecipients_()).valid;
+  if (recipients.length === 0) {
+    Logger.log("No organizer emails configured (ADMIN_EMAILS); skipping notice: " + notice.subject);
+    return 0;
+  }
+
+  MailApp.sendEmail({ to: recipients.join(","), subject: notice.subject, body: notice.body });
+  return recipients.length;
+}
+
+// -----------------------------------------------------------------------------
+// Schedule validation
+// -----------------------------------------------------------------------------
+/**
+ * Checks Schedule sheet values for problems that would make reminders skip or
+ * misread rows.
+ *
+ * - error: a date that `parseSheetDate_` rejects, or a row with content but no date
+ * - error: an upcoming row (not "No Group") without a Location or Description
+ * - warning: a date already used by an earlier row
+ * - warning: a date earlier than the row above it
+ *
+ * @param {Array<Array<any>>} data 2D array of Schedule sheet values
+ * @param {any} [optBaseDate] Base date override (see `parseBaseDate_`)
+ * @returns {Array<{row:number,severity:"error"|"warning",issue:string,value:any}>} Findings, in sheet order
+ * @throws {Error} If a required Schedule header is missing
+ */
+function validateScheduleData_(data, optBaseDate) {
+  var findings = [];
+  var rows = parseScheduleRows_(data);
+  if (rows.length === 0) return findings;
+
+  var dateIndex = mapHeaderColumns_(data[0], ScheduleColumns, ScheduleSheetName).date;
+  var base = getBaseDay_(optBaseDate);
+  var firstRowByDate = {};
+  var latest = null;
+
+  function isBlank(value) {
+    return value === null || value === undefined || value.toString().trim() === "";
+  }
+  function add(row, severity, issue, value) {
+    findings.push({ row: row.rowNumber, severity: severity, issue: issue, value: value });
+  }
+
+  rows.forEach(function (row) {
+    var values = data[row.rowNumber - 1];
+    var rawDate = values[dateIndex];
+    if (!row.date) {
+      if (!isBlank(rawDate)) {
+        add(row, "error", "Invalid date", rawDate);
+      } else if (!values.every(isBlank)) {
+        add(row, "error", "Missing date", "");
+      }
+      return;
+    }
+
+    var key = formatCalendarDay_(row.day, "yyyy-MM-dd");
+    if (firstRowByDate[key]) {
+      add(row, "warning", "Duplicate date (also row " + firstRowByDate[key] + ")", key);
+    } else {
+      firstRowByDate[key] = row.rowNumber;
+    }
+
+    if (latest && row.day < latest.day) {
+      add(row, "warning", "Out of order (earlier than row " + latest.rowNumber + ")", key);
+    } else {
+      latest = row;
+    }
+
+    if (row.day >= base && !isNoGroupRow_(row)) {
+      if (isBlank(row.location)) add(row, "error", "Missing Location", key);
+      if (isBlank(row.description)) add(row, "error", "Missing Description", key);
+    }
+  });
+
+  return findings;
+}
+
+/**
+ * Validates a group's Schedule tab and overwrites its Validation sheet with
+ * the findings (or a single "No problems found" row).
+ *
+ * A missing required header is reported as a finding rather than thrown.
+ *
+ * @param {{group?:Object,optBaseDate?:any}} opts
+ * @returns {{group:string,ok:boolean,channels:Object,errors:number,warnings:number}}
+ */
+function performScheduleValidation_(opts) {
+  var group = opts && opts.group;
+  var sheetId = resolveGroupSheetId_(group);
+  var result = { group: getGroupName_({ groupName: group && group.name }), ok: true, channels: {}, errors: 0, warnings: 0 };
+
+  var findings;
+  try {
+    findings = validateScheduleData_(getScheduleData_(sheetId), opts && opts.optBaseDate);
+  } catch (e) {
+    findings = [{ row: 1, severity: "error", issue: (e && e.message ? e.message : e).toString(), value: "" }];
+  }
+
+  var rows = [ValidationHeaders].concat(findings.map(function (f) {
+    if (f.severity === "error") result.errors++; else result.warnings++;
+    return [f.row, f.severity, f.issue, f.value];
+  }));
+  if (findings.length === 0) rows.push(["", "ok", "No problems found", ""]);
+
+  var sheet = getOrCreateSheet_(ValidationSheetName, ValidationHeaders, sheetId);
+  sheet.clearContents();
+  sheet.getRange(1, 1, rows.length, ValidationHeaders.length).setValues(rows);
+
+  Logger.log(
+    "Schedule validation for " + result.group + ": " + result.errors + " error(s), " +
+    result.warnings + " warning(s)."
+  );
+  return result;
+}
+
+// -----------------------------------------------------------------------------
+// Schedule generation
+// -----------------------------------------------------------------------------
+/**
+ * Returns how many weeks ahead `generateSchedule` fills, from
+ * `GENERATE_WEEKS` (default `DefaultGenerateWeeks`).
+ *
+ * @returns {number}
+ */
+function getGenerateWeeks_() {
+  var value = PropertiesService.getScriptProperties().getProperty("GENERATE_WEEKS");
+  var parsed = parseInt(value, 10);
+  if (value && (isNaN(parsed) || parsed < 1)) {
+    Logger.log("Invalid GENERATE_WEEKS \"" + value + "\"; using " + DefaultGenerateWeeks + ".");
+  }
+  return isNaN(parsed) || parsed < 1 ? DefaultGenerateWeeks : parsed;
+}
+
+/**
+ * Returns the weekday of a calendar day, 0 (Sunday) through 6 (Saturday).
+ *
+ * @param {number} day Calendar day
+ * @returns {number}
+ */
+function getWeekdayOfDay_(day) {
+  return (day % 7 + 11) % 7; // day 0 (1970-01-01) was a Thursday
+}
+
+/**
+ * Returns the meeting weekday (0 = Sunday) from `MEETING_DAY` (MON–SUN), or
+ * else the weekday of the latest dated meeting row. "No Group" and
+ * blacked-out rows are ignored, since they may fall on another day.
+ *
+ * @param {Array<Object>} rows Schedule row objects
+ * @returns {number}
+ * @throws {Error} If `MEETING_DAY` is invalid, or unset with no dated meeting rows
+ */
+function getMeetingWeekday_(rows) {
+  var value = (PropertiesService.getScriptProperties().getProperty("MEETING_DAY") || "").toString().trim().toUpperCase();
+  if (value) {
+    var index = MeetingDays.indexOf(value);
+    if (index === -1) {
+      throw new Error("Invalid MEETING_DAY \"" + value + "\". Use one of " + MeetingDays.join(", ") + ".");
+    }
+    return index;
+  }
+
+  var days = rows
+    .filter(function (row) { return !isNoGroupRow_(row); })
+    .map(getRowDay_)
+    .filter(function (day) { return !isNaN(day); });
+  if (days.length === 0) {
+    throw new Error("Set the MEETING_DAY script property (e.g. \"FRI\") or add a dated Schedule meeting row first.");
+  }
+  return getWeekdayOfDay_(Math.max.apply(null, days));
+}
+
+/**
+ * Parses Rosters sheet values: for each `RosterColumns` header present, the
+ * people (or food themes) to rotate, in sheet order and without duplicates.
+ *
+ * @param {Array<Array<any>>|null} data 2D array of Rosters sheet values
+ * @returns {Object<string, string[]>} Entries keyed by Schedule row key (e.g. `childcareDuty`)
+ */
+function parseRosters_(data) {
+  var rosters = {};
+  if (!data || data.length === 0) return rosters;
+
+  var columns = RosterColumns.map(function (c) { return { key: c.key, header: c.header, optional: true }; });
+  var indexes = mapHeaderColumns_(data[0], columns, RostersSheetName);
+
+  RosterColumns.forEach(function (column) {
+    if (indexes[column.key] === -1) return;
+    var seen = {};
+    rosters[column.key] = data.slice(1)
+      .map(function (values) { return (values[indexes[column.key]] || "").toString().trim(); })
+      .filter(function (entry) {
+        var key = normalizeHeader_(entry);
+        if (!key || seen[key]) return false;
+        seen[key] = true;
+        return true;
+      });
+  });
+
+  return rosters;
+}
+
+/**
+ * Plans the Schedule rows `generateSchedule` appends.
+ *
+ * Meeting dates are the `weekday`s from the base day through `weeks` weeks
+ * later, after the latest dated row, so existing rows are never repeated or
+ * changed. Each `RosterColumns` column takes the roster entries that served
+ * least recently in that column (never served first, ties in roster order);
+ * a cell counts as served when it equals the entry or names it among others
+ * (see `splitAssigneeNames_`). Location and Description repeat the latest
+ * meeting row. Blacked-out dates get a row with only the Date and the
+ * blackout reason in `Blackout`, so they stay "No Group" (see
+ * `isNoGroupRow_`) even if the Blackouts range is later edited or removed,
+ * and do not advance the rotation.
+ *
+ * @param {Array<Array<any>>} data 2D array of Schedule sheet values
+ * @param {Object<string, string[]>} rosters Rosters (see `parseRosters_`)
+ * @param {Array<{startDay:number,endDay:number,reason:string}>} blackouts Blackouts (see `parseBlackouts_`)
+ * @param {{baseDay:number,weeks:number,weekday:number}} plan Window and meeting weekday
+ * @returns {Array<Object<string, string>>} Records keyed by Schedule header, in date order
+ */
+function planScheduleRows_(data, rosters, blackouts, plan) {
+  var rows = parseScheduleRows_(data)
+    .filter(function (row) { return !isNaN(getRowDay_(row)); })
+    .sort(function (a, b) { return getRowDay_(a) - getRowDay_(b); });
+  var lastDay = rows.length > 0 ? getRowDay_(rows[rows.length - 1]) : -Infinity;
+  var meetings = rows.filter(function (row) { return !isNoGroupRow_(row); });
+  var latest = meetings[meetings.length - 1] || {};
+
+  var lastServed = {};
+  RosterColumns.forEach(function (column) {
+    lastServed[column.key] = {};
+    (rosters[column.key] || []).forEach(function (entry) {
+      var key = normalizeHeader_(entry);
+      meetings.forEach(function (row) {
+        var cell = row[column.key];
+        var names = splitAssigneeNames_(cell).map(normalizeHeader_);
+        if (normalizeHeader_(cell) === key || names.indexOf(key) !== -1) lastServed[column.key][key] = getRowDay_(row);
+      });
+    });
+  });
+
+  var records = [];
+  var firstDay = plan.baseDay + (plan.weekday - getWeekdayOfDay_(plan.baseDay) + 7) % 7;
+  for (var day = firstDay; day < plan.baseDay + plan.weeks * 7; day += 7) {
+    if (day <= lastDay) continue;
+
+    var record = { Date: formatCalendarDay_(day, "yyyy-MM-dd") };
+    records.push(record);
+    var blackout = blackouts.filter(function (b) { return day >= b.startDay && day <= b.endDay; })[0];
+    if (blackout) {
+      record.Blackout = blackout.reason;
+      continue;
+    }
+
+    record.Location = latest.location || "";
+    record.Description = latest.description || "";
+    RosterColumns.forEach(function (column) {
+      if (!rosters[column.key]) return; // not on the Rosters sheet: left for volunteers
+      var served = lastServed[column.key];
+      var picks = rosters[column.key]
+        .map(function (entry, i) { return { entry: entry, i: i, last: served[normalizeHeader_(entry)] }; })
+        .sort(function (a, b) {
+          var aLast = a.last === undefined ? -Infinity : a.last;
+          var bLast = b.last === undefined ? -Infinity : b.last;
+          return aLast !== bLast ? aLast - bLast : a.i - b.i;
+        })
+        .slice(0, column.perWeek);
+
+      picks.forEach(function (pick) { served[normalizeHeader_(pick.entry)] = day; });
+      record[column.header] = picks.map(function (pick) { return pick.entry; }).join(" & ");
+    });
+  }
+
+  return records;
+}
+
+/**
+ * Appends the next `GENERATE_WEEKS` weeks of meetings to a group's Schedule
+ * tab (see `planScheduleRows_`), rotating the Rosters sheet entries.
+ *
+ * Holds the script lock from reading the Schedule until the rows are
+ * written, so overlapping runs cannot both append the same weeks. With
+ * `opts.dryRun` the rows are only written to the SchedulePreview sheet (no
+ * lock).
+ *
+ * @param {{group?:Object,optBaseDate?:any,dryRun?:boolean}} opts
+ * @returns {{group:string,ok:boolean,channels:Object,added:string[],dryRun:boolean}} Dates of the added (or planned) rows
+ * @throws {Error} If the Schedule or Rosters tab is missing, the meeting day is unknown, or the lock is busy
+ */
+function performScheduleGeneration_(opts) {
+  if (opts && opts.dryRun) return generateScheduleRows_(opts);
+
+  var lock = LockService.getScriptLock();
+  lock.waitLock(ScheduleLockWaitMs);
+  try {
+    return generateScheduleRows_(opts);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Plans the rows for `performScheduleGeneration_` and appends them to the
+ * Schedule tab, or writes them to the SchedulePreview sheet in a dry run.
+ *
+ * Values go under their matching Schedule headers (see `appendRecord_`);
+ * a roster column missing from the Schedule (e.g. `Host`) is added.
+ *
+ * @param {{group?:Object,optBaseDate?:any,dryRun?:boolean}} opts
+ * @returns {{group:string,ok:boolean,channels:Object,added:string[],dryRun:boolean}}
+ */
+function generateScheduleRows_(opts) {
+  var group = opts && opts.group;
+  var dryRun = !!(opts && opts.dryRun);
+  var sheetId = resolveGroupSheetId_(group);
+  var result = { group: getGroupName_({ groupName: group && group.name }), ok: true, channels: {}, added: [], dryRun: dryRun };
+
+  var data = getScheduleData_(sheetId);
+  var rosters = parseRosters_(getSheetData_(RostersSheetName, sheetId));
+  var records = planScheduleRows_(data, rosters, parseBlackouts_(getOptionalSheetData_(BlackoutsSheetName, sheetId)), {
+    baseDay: getBaseDay_(opts && opts.optBaseDate),
+    weeks: getGenerateWeeks_(),
+    weekday: getMeetingWeekday_(parseScheduleRows_(data))
+  });
+
+  result.added = records.map(function (record) { return record.Date; });
+  if (dryRun) {
+    writeSchedulePreview_(sheetId, records);
+  } else {
+    var sheet = SpreadsheetApp.openById(sheetId).getSheetByName(ScheduleSheetName);
+    records.forEach(function (record) { appendRecord_(sheet, record); });
+  }
+
+  Logger.log(
+    "Schedule generation " + (dryRun ? "preview " : "") + "for " + result.group + ": " +
+    (result.added.length === 0 ? "the Schedule already covers the next weeks." :
+      (dryRun ? "would add " : "added ") + result.added.length + " row(s) (" + result.added.join(", ") + ").")
+  );
+  return result;
+}
+
+/**
+ * Overwrites the SchedulePreview sheet with the rows schedule generation
+ * would add, one column per Schedule header they fill. It is separate from
+ * the Preview sheet so `previewNotif()` and `previewSchedule()` reports do not
+ * overwrite each other.
+ *
+ * @param {string} sheetId Spreadsheet ID
+ * @param {Array<Object<string,string>>} records Planned rows (see `planScheduleRows_`)
+ * @returns {void}
+ */
+function writeSchedulePreview_(sheetId, records) {
+  var headers = ["Date"];
+  records.forEach(function (record) {
+    Object.keys(record).forEach(function (key) {
+      if (headers.indexOf(key) === -1) headers.push(key);
+    });
+  });
+
+  var rows = [headers].concat(records.map(function (record) {
+    return headers.map(function (header) { return record[header] || ""; });
+  }));
+  if (records.length === 0) rows.push(["The Schedule already covers the next weeks."]);
+
+  var sheet = getOrCreateSheet_(SchedulePreviewSheetName, headers, sheetId);
+  sheet.clearContents();
+  sheet.getRange(1, 1, rows.length, headers.length).setValues(rows);
+}
+
+// -----------------------------------------------------------------------------
+// Setup check
+// -----------------------------------------------------------------------------
+/**
+ * Returns a problem description when a property value is not a valid
+ * whole number of at least `min`, else "".
+ *
+ * @param {string} value Property value
+ * @param {number} min Smallest allowed value
+ * @returns {string}
+ */
+function checkWholeNumber_(value, min) {
+  return /^\d+$/.test(value) && parseInt(value, 10) >= min ? "" : "expected a whole number of at least " + min;
+}
+
+/**
+ * Returns a problem description listing invalid emails in a comma-separated
+ * value (see `isValidEmail_`), else "".
+ *
+ * @param {string} value Property value
+ * @returns {string}
+ */
+function checkEmailList_(value) {
+  var emails = parseEmailList_(value);
+  var invalid = emails.filter(function (email) { return !isValidEmail_(email); });
+  if (emails.length === 0) return "no emails listed";
+  return invalid.length > 0 ? "invalid email(s): " + invalid.join(", ") : "";
+}
+
+/**
+ * Returns a problem description when a value is not an http(s) URL, else "".
+ *
+ * @param {string} value Property value
+ * @returns {string}
+ */
+function checkUrl_(value) {
+  return /^https?:\/\/\S+$/i.test(value) ? "" : "expected an http(s) URL";
+}
+
+/**
+ * Returns a problem description when a value is not one of `allowed`
+ * (case-insensitive), else "".
+ *
+ * @param {string[]} allowed Allowed values
+ * @returns {function(string):string}
+ */
+function checkOneOf_(allowed) {
+  return function (value) {
+    return allowed.indexOf(value.trim().toLowerCase()) !== -1 ? "" : "expected one of " + allowed.join(", ");
+  };
+}
+
+/**
+ * Returns the script properties checked by `checkSetup`, in report order.
+ *
+ * `required` properties fail when blank; others pass when blank (defaults
+ * apply). `check(value)` returns a problem description for a set value, or
+ * "" when it is valid.
+ *
+ * `TEST_GROUPME_BOT_ID` is only required when some group has no
+ * `testGroupMeBotId` of its own (always without `GROUPS`).
+ *
+ * @param {boolean} hasGroups Whether `GROUPS` is set (replaces `SHEET_ID`/`GROUPME_BOT_ID`)
+ * @param {Array<Object>|null} [optGroups] Configured groups, or null when they could not be loaded
+ * @returns {Array<{key:string,required?:boolean,check?:function(string):string}>}
+ */
+function getPropertyChecks_(hasGroups, optGroups) {
+  function time(value) {
+    var m = value.trim().match(/^(\d{1,2}):(\d{2})$/);
+    return m && parseInt(m[1], 10) <= 23 && parseInt(m[2], 10) <= 59 ? "" : "expected HH:mm";
+  }
+
+  var groupsHaveTestBots = hasGroups && !!optGroups && optGroups.every(function (group) {
+    return !!group.testGroupMeBotId;
+  });
+
+  var checks = [
+    { key: "SHEET_ID", required: !hasGroups },
+    { key: "GROUPME_BOT_ID", required: !hasGroups },
+    { key: "TEST_EMAIL_RECIPIENTS", required: true, check: checkEmailList_ },
+    { key: "TEST_GROUPME_BOT_ID", required: !groupsHaveTestBots },
+    { key: "GROUPS", check: function (value) { parseGroups_(value); return ""; } },
+    { key: "GROUP_NAME" },
+    { key: "ADMIN_EMAILS", check: checkEmailList_ },
+    { key: "ALERT_TEST_GROUPME", check: checkOneOf_(["true", "false"]) },
+    { key: "EMAIL_SEND_MODE", check: checkOneOf_(EmailSendModes) },
+    { key: "EMPTY_SCHEDULE_POLICY", check: checkOneOf_(["admins", "skip", "send"]) },
+    { key: "TIME_ZONE", check: function (value) { getZonedDateParts_(new Date(), value.trim()); return ""; } },
+    { key: "LOOKAHEAD_DAYS", check: function (value) { return checkWholeNumber_(value.trim(), 0); } },
+    {
+      key: "REMINDER_CADENCES",
+      check: function (value) {
+        return /^\s*\d+\s*(,\s*\d+\s*)*$/.test(value) ? "" : "expected comma-separated whole numbers (e.g. 6,0)";
+      }
+    },
+    { key: "SCHEDULE_WARNING_ROWS", check: function (value) { return checkWholeNumber_(value.trim(), 0); } },
+    { key: "OPEN_SLOTS_ROWS", check: function (value) { return checkWholeNumber_(value.trim(), 1); } },
+    { key: "GENERATE_WEEKS", check: function (value) { return checkWholeNumber_(value.trim(), 1); } },
+    { key: "MEETING_DAY", check: checkOneOf_(MeetingDays.map(function (day) { return day.toLowerCase(); })) },
+    { key: "EVENT_START_TIME", check: time },
+    { key: "EVENT_END_TIME", check: time },
+    { key: "ATTACH_ICS", check: checkOneOf_(["true", "false"]) },
+    { key: "CALENDAR_ID" },
+    { key: "GROUPME_GROUP_ID" },
+    { key: "SIGNUP_FORM_URL", check: checkUrl_ },
+    { key: "WEB_APP_URL", check: checkUrl_ },
+    { key: "RSVP_SECRET", check: function (value) { return value.length >= 16 ? "" : "use at least 16 characters"; } },
+    { key: "SEND_SCHEDULE", check: function (value) { parseSendSchedule_(value); return ""; } },
+    {
+      key: "TEST_BASE_DATE",
+      check: function (value) { return parseDateParts_(value) ? "" : "expected mm/dd/yy, mm/dd/yyyy or yyyy-mm-dd"; }
+    }
+  ];
+
+  WebhookChannels.forEach(function (channel) {
+    checks.push({ key: channel.property, check: checkUrl_ });
+    checks.push({ key: "TEST_" + channel.property, check: checkUrl_ });
+  });
+  checks.push({ key: "SMS_RECIPIENTS" }, { key: "TEST_SMS_RECIPIENTS" });
+
+  return checks;
+}
+
+/**
+ * Checks one group's spreadsheet: that it opens, that the Schedule and
+ * Emails tabs exist with the expected headers, that member emails are valid,
+ * and that the GroupMe bot and test bot (`testGroupMeBotId`, else
+ * `TEST_GROUPME_BOT_ID`) are configured.
+ *
+ * @param {Object} group Group config
+ * @returns {Array<{status:string,check:string,detail:string}>} Checklist lines
+ */
+function checkGroupSetup_(group) {
+  var lines = [];
+  var prefix = group.name + ": ";
+  function add(status, check, detail) {
+    lines.push({ status: status, check: prefix + check, detail: detail });
+  }
+
+  var ss;
+  try {
+    ss = SpreadsheetApp.openById(resolveGroupSheetId_(group));
+    add("PASS", "spreadsheet", group.sheetId);
+  } catch (e) {
+    add("FAIL", "spreadsheet", e && e.message ? e.message : String(e));
+    return lines;
+  }
+
+  [
+    { name: ScheduleSheetName, columns: ScheduleColumns },
+    { name: group.emailSheet, columns: EmailColumns }
+  ].forEach(function (tab) {
+    var sheet = ss.getSheetByName(tab.name);
+    if (!sheet) {
+      add("FAIL", tab.name + " tab", "missing (was it renamed?)");
+      return;
+    }
+
+    var data = sheet.getDataRange().getValues();
+    try {
+      mapHeaderColumns_(data[0] || [], tab.columns, tab.name);
+    } catch (e) {
+      add("FAIL", tab.name + " tab", e.message);
+      return;
+    }
+    add("PASS", tab.name + " tab", (data.length > 0 ? data.length - 1 : 0) + " row(s)");
+
+    if (tab.columns !== EmailColumns) return;
+    var members = parseMembers_(data);
+    var invalid = members.filter(function (m) { return !isValidEmail_(m.email); });
+    var active = members.filter(function (m) { return m.active && m.channel !== "groupme" && isValidEmail_(m.email); });
+    if (invalid.length > 0) {
+      add("FAIL", "recipient emails", "invalid: " + invalid.map(function (m) { return m.email; }).join(", "));
+    } else if (active.length === 0) {
+      add("WARN", "recipient emails", "no active email recipients");
+    } else {
+      add("PASS", "recipient emails", active.length + " active recipient(s)");
+    }
+  });
+
+  add(group.groupMeBotId ? "PASS" : "FAIL", "GroupMe bot", group.groupMeBotId ? maskSecret_(group.groupMeBotId) : "not set");
+  var testBotId = group.testGroupMeBotId ||
+    (PropertiesService.getScriptProperties().getProperty("TEST_GROUPME_BOT_ID") || "").toString().trim();
+  add(testBotId ? "PASS" : "FAIL", "test GroupMe bot", testBotId ? maskSecret_(testBotId) : "not set (testGroupMeBotId or TEST_GROUPME_BOT_ID)");
+  return lines;
+}
+
+/**
+ * Runs every setup check and returns the checklist: script properties (see
+ * `getPropertyChecks_`), then each group's spreadsheet (see
+ * `checkGroupSetup_`). Problems are collected, never thrown.
+ *
+ * @returns {Array<{status:"PASS"|"WARN"|"FAIL",check:string,detail:string}>}
+ */
+function performSetupCheck_() {
+  var props = PropertiesService.getScriptProperties();
+  var hasGroups = !!props.getProperty("GROUPS");
+  var lines = [];
+  var groups = null;
+  try {
+    groups = getGroups_();
+  } catch (e) {
+    // Invalid GROUPS or missing SHEET_ID, reported by the property checks.
+  }
+
+  getPropertyChecks_(hasGroups, groups).forEach(function (item) {
+    var value = (props.getProperty(item.key) || "").toString();
+    if (!value.trim()) {
+      lines.push({ status: item.required ? "FAIL" : "PASS", check: item.key, detail: item.required ? "missing" : "not set" });
+      return;
+    }
+
+    var problem;
+    try {
+      problem = item.check ? item.check(value) : "";
+    } catch (e) {
+      problem = e && e.message ? e.message : String(e);
+    }
+    lines.push({ status: problem ? "FAIL" : "PASS", check: item.key, detail: problem || "set" });
+  });
+
+  if (!!props.getProperty("WEB_APP_URL") !== !!props.getProperty("RSVP_SECRET")) {
+    lines.push({ status: "WARN", check: "RSVPs", detail: "set both WEB_APP_URL and RSVP_SECRET to turn RSVPs on" });
+  }
+
+  if (!groups) return lines;
+
+  groups.forEach(function (group) {
+    lines = lines.concat(checkGroupSetup_(group));
+  });
+
+  return lines;
+}
+
+// -----------------------------------------------------------------------------
+// Preview
+// -----------------------------------------------------------------------------
+/**
+ * Masks all but the last 4 characters of a secret (e.g. a GroupMe bot id).
+ *
+ * @param {string} value Secret value
+ * @returns {string} Masked value
+ */
+function maskSecret_(value) {
+  var s = (value || "").toString();
+  return s.length <= 4 ? s.replace(/./g, "*") : "****" + s.slice(-4);
+}
+
+/**
+ * Builds the dry-run report for a composed reminder without sending anything.
+ *
+ * Recipient and bot lookups are attempted so configuration problems show up
+ * in the report (as an `error: ...` status) instead of being thrown.
+ *
+ * @param {{channels?:string[],group?:Object}} opts Send options
+ * @param {{group:string,mode:string,rowDate:any,force:boolean,sendLog:Array<Array<any>>|null}} log Send log context
+ * @param {{subject:string,emailBody:string,message:string}} reminder Composed reminder
+ * @param {{skipReminder:boolean,skipReason:string,notices:Array<{channel:string,subject:string}>}} plan Organizer notice plan
+ * @returns {Object} Report (see `performReminderSend_`)
+ */
+function buildPreviewReport_(opts, log, reminder, plan) {
+  var report = {
+    group: log.group,
+    mode: log.mode,
+    rowDate: getSendLogDateKey_(log.rowDate),
+    variant: log.variant,
+    subject: reminder.subject,
+    emailBody: reminder.emailBody,
+    message: reminder.message,
+    email: null,
+    groupMe: null,
+    notices: plan.notices.map(function (notice) { return notice.channel + ": " + notice.subject; })
+  };
+
+  getReminderNotifiers_(opts, log.mode, opts.group).forEach(function (notifier) {
+    var entry = { status: "" };
+    try {
+      Object.assign(entry, notifier.describe(notifier.getTarget(log.mode, opts.group), opts.group));
+      entry.status = plan.skipReminder ? "would skip (" + plan.skipReason + ")"
+        : isDuplicateSend_(log, notifier.name) ? "would skip (already sent)"
+        : entry.recipients && entry.recipients.length === 0 ? "would skip (no recipients)" : "would send";
+    } catch (e) {
+      entry.status = "error: " + (e && e.message ? e.message : e);
+    }
+    report[notifier.reportKey] = entry;
+  });
+
+  return report;
+}
+
+/**
+ * Overwrites the Preview sheet with a dry-run report, one field per row.
+ *
+ * @param {string} sheetId Spreadsheet ID
+ * @param {Object} report Report from `buildPreviewReport_`
+ * @returns {void}
+ */
+function writePreviewSheet_(sheetId, report) {
+  var rows = [
+    ["Field", "Value"],
+    ["Generated", new Date()],
+    ["Group", report.group],
+    ["Mode", report.mode],
+    ["Row Date", report.rowDate],
+    ["Subject", report.subject],
+    ["Email Body (HTML)", report.emailBody],
+    ["GroupMe Message", report.message]
+  ];
+  if (report.email) {
+    rows.push(["Email Status", report.email.status]);
+    rows.push(["Email Send Mode", report.email.sendMode || ""]);
+    rows.push(["Email Recipients", (report.email.recipients || []).join(", ")]);
+    rows.push(["Invalid Recipients", (report.email.invalidRecipients || []).join(", ")]);
+  }
+  if (report.groupMe) {
+    rows.push(["GroupMe Status", report.groupMe.status]);
+    rows.push(["GroupMe Bot", report.groupMe.botId || ""]);
+  }
+  WebhookChannels.forEach(function (channel) {
+    if (!report[channel.name]) return;
+    rows.push([channel.label + " Status", report[channel.name].status]);
+    rows.push([channel.label + " URL", report[channel.name].url || ""]);
+  });
+  rows.push(["Organizer Notices", report.notices.join("\n")]);
+  if (report.alsoDue && report.alsoDue.length > 0) rows.push(["Also Due Today", report.alsoDue.join("\n")]);
+
+  var sheet = getOrCreateSheet_(PreviewSheetName, rows[0], sheetId);
+  sheet.clearContents();
+  sheet.getRange(1, 1, rows.length, 2).setValues(rows);
+}
+
+// -----------------------------------------------------------------------------
+// Sending
+// -----------------------------------------------------------------------------
+/**
+ * Normalizes recipients (email strings or `{email, name}` objects) and splits
+ * them into valid recipients and invalid email values.
+ *
+ * @param {Array<any>} recipients Array of recipient values
+ * @returns {{valid:Array<{email:string,name:string}>,invalid:string[]}}
+ */
+function normalizeRecipients_(recipients) {
+  var result = { valid: [], invalid: [] };
+  for (var i = 0; i < (recipients || []).length; i++) {
+    var r = recipients[i];
+    var isObject = r && typeof r === "object";
+    var email = ((isObject ? r.email : r) || "").toString().trim();
+    var name = isObject ? (r.name || "").toString().trim() : "";
+
+    if (isValidEmail_(email)) {
+      result.valid.push({ email: email, name: name });
+    } else {
+      result.invalid.push(email);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Trims recipient values and splits them into valid and invalid emails.
+ *
+ * @param {Array<any>} recipients Array of recipient values (strings or `{email, name}`)
+ * @returns {{valid:string[],invalid:string[]}}
+ */
+function partitionRecipients_(recipients) {
+  var normalized = normalizeRecipients_(recipients);
+  return {
+    valid: normalized.valid.map(function (r) { return r.email; }),
+    invalid: normalized.invalid
+  };
+}
+
+/**
+ * Returns how reminder emails are addressed.
+ *
+ * Uses the group's `emailSendMode`, else Script property `EMAIL_SEND_MODE`:
+ * - `to` (default): one email with every recipient in `to`
+ * - `bcc`: one email addressed to the script account with recipients in `bcc`
+ * - `individual`: one email per recipient, greeting them by name
+ *
+ * @param {{emailSendMode?:string}} [optGroup] Group config
+ * @returns {"to"|"bcc"|"individual"}
+ */
+function getEmailSendMode_(optGroup) {
+  var value = ((optGroup && optGroup.emailSendMode) ||
+    PropertiesService.getScriptProperties().getProperty("EMAIL_SEND_MODE") || "to")
+    .toString().trim().toLowerCase();
+  if (EmailSendModes.indexOf(value) !== -1) return value;
+
+  Logger.log("Unknown email send mode \"" + value + "\"; using \"to\".");
+  return "to";
+}
+
+/**
+ * Prefixes an HTML email body with a greeting for the recipient, if named.
+ *
+ * @param {string} body HTML body
+ * @param {string} name Recipient name
+ * @returns {string} Personalized HTML body
+ */
+function personalizeEmailBody_(body, name) {
+  return name ? "<p>Hi " + escapeHtml_(name) + ",</p>\n" + body : body;
+}
+
+/**
+ * Sends the HTML email to all valid recipients.
+ *
+ * By default sends a single email using the 'to' field; see
+ * `getEmailSendMode_` for the `bcc` and `individual` modes. Invalid
+ * recipients are logged and excluded. If there are no valid recipients, no
+ * email is sent.
+ *
+ * The MailApp remaining daily quota is checked first (in `individual` mode
+ * one unit per recipient); when it is too low nothing is sent. If an
+ * `individual` send fails partway, `partialSendError_` reports the members
+ * already emailed so a retry can skip them (see `sendWithLog_`).
+ *
+ * @param {string} subject Email subject
+ * @param {string|function({email:string,name:string}):string} body HTML body, or (in `individual` mode) a
+ *   function building each recipient's body
+ * @param {Array<any>} recipients Array of recipient values (strings or `{email, name}`)
+ * @param {"to"|"bcc"|"individual"} [optSendMode] Send mode (default "to")
+ * @param {Array<GoogleAppsScript.Base.Blob>} [optAttachments] Attachments (e.g. the .ics invite)
+ * @returns {number} Number of recipients emailed (0 if nothing was sent)
+ * @throws {Error} If the daily quota is too low, or a send fails
+ */
+function sendEmailToRecipients_(subject, body, recipients, optSendMode, optAttachments) {
+  if (!recipients || recipients.length === 0) {
+    Logger.log("No email recipients provided.");
+    return 0;
+  }
+
+  var normalized = normalizeRecipients_(recipients);
+  var validRecipients = normalized.valid;
+  var invalidRecipients = normalized.invalid;
+
+  if (invalidRecipients.length > 0) {
+    Logger.log("Invalid email recipients provided: " + invalidRecipients.join(","));
+  }
+
+  if (validRecipients.length === 0) {
+    Logger.log("No valid email recipients provided.");
+    return 0;
+  }
+
+  var sendMode = optSendMode || "to";
+  var quota = MailApp.getRemainingDailyQuota();
+  var emails = validRecipients.map(function (r) { return r.email; });
+
+  function withAttachments(message) {
+    if (optAttachments && optAttachments.length > 0) message.attachments = optAttachments;
+    return message;
+  }
+
+  if (quota < validRecipients.length) {
+    throw new Error(
+      "MailApp daily quota too low: " + validRecipients.length + " recipient(s) needed, " + quota + " remaining."
+    );
+  }
+
+  if (sendMode === "individual") {
+    for (var i = 0; i < validRecipients.length; i++) {
+      try {
+        MailApp.sendEmail(withAttachments({
+          to: validRecipients[i].email,
+          subject: subject,
+          htmlBody: personalizeEmailBody_(
+            typeof body === "function" ? body(validRecipients[i]) : body, validRecipients[i].name
+          )
+        }));
+      } catch (e) {
+        throw partialSendError_(
+          "Email failed after " + i + " of " + validRecipients.length + " recipients (" + validRecipients[i].email +
+          "): " + (e && e.message ? e.message : e),
+          emails.slice(0, i)
+        );
+      }
+    }
+
+    return validRecipients.length;
+  }
+
+  if (sendMode === "bcc") {
+    MailApp.sendEmail(withAttachments({
+      to: Session.getEffectiveUser().getEmail(),
+      bcc: emails.join(","),
+      subject: subject,
+      htmlBody: body
+    }));
+  } else {
+    MailApp.sendEmail(withAttachments({
+      to: emails.join(","),
+      subject: subject,
+      htmlBody: body
+    }));
+  }
+
+  return validRecipients.length;
+}
+
+/**
+ * Returns true for HTTP statuses worth retrying (rate limiting and server errors).
+ *
+ * @param {number} status HTTP status code
+ * @returns {boolean}
+ */
+function isTransientHttpStatus_(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Splits text into chunks of at most `limit` characters, breaking on line
+ * boundaries first, then spaces, and only splitting inside a word when the
+ * word alone exceeds the limit. Length is counted in code points so
+ * multibyte characters (e.g. emoji) are never cut in half.
+ *
+ * @param {string} text Text to split
+ * @param {number} limit Maximum characters per chunk
+ * @returns {string[]} Non-blank chunks, in order
+ */
+function chunkText_(text, limit) {
+  var chunks = [];
+  var current = "";
+
+  function length(value) {
+    return Array.from(value).length;
+  }
+
+  function append(piece, separator) {
+    if (!current) {
+      current = piece;
+    } else if (length(current) + length(separator) + length(piece) <= limit) {
+      current += separator + piece;
+    } else {
+      chunks.push(current);
+      current = piece;
+    }
+  }
+
+  text.split("\n").forEach(function (line) {
+    if (length(line) <= limit) {
+      append(line, "\n");
+      return;
+    }
+
+    line.split(" ").forEach(function (word, wordIndex) {
+      var separator = wordIndex === 0 ? "\n" : " ";
+      var codePoints = Array.from(word);
+      if (codePoints.length <= limit) {
+        append(word, separator);
+        return;
+      }
+
+      for (var i = 0; i < codePoints.length; i += limit) {
+        append(codePoints.slice(i, i + limit).join(""), i === 0 ? separator : "");
+      }
+    });
+  });
+
+  if (current) chunks.push(current);
+
+  return chunks.filter(function (chunk) { return !!chunk.trim(); });
+}
+
+/**
+ * Splits a GroupMe message into postable parts.
+ *
+ * Messages within the limit are returned unchanged. Longer messages are split
+ * (see `chunkText_`) and each part is prefixed with "(i/n) ", with the prefix
+ * counted against the limit.
+ *
+ * @param {string} text Message text
+ * @param {number} [optMaxLength] Maximum characters per part (default `GroupMeMaxMessageLength`)
+ * @returns {string[]} Message parts, in posting order
+ */
+function splitGroupMeMessage_(text, optMaxLength) {
+  var maxLength = optMaxLength || GroupMeMaxMessageLength;
+  var message = (text || "").toString();
+  if (Array.from(message).length <= maxLength) return [message];
+
+  // The "(i/n) " prefix width depends on the number of parts, so grow the
+  // reserved width until the part count fits in it.
+  var chunks;
+  for (var digits = 1; ; digits++) {
+    var limit = maxLength - (2 * digits + 4);
+    if (limit < 1) {
+      throw new Error("GroupMe message limit of " + maxLength + " characters is too small to split into parts.");
+    }
+    chunks = chunkText_(message, limit);
+    if (String(chunks.length).length <= digits) break;
+  }
+
+  return chunks.map(function (chunk, i) {
+    return "(" + (i + 1) + "/" + chunks.length + ") " + chunk;
+  });
+}
+
+/**
+ * Posts a message to a GroupMe group via the Bot API, using an explicit bot id.
+ *
+ * Messages over `GroupMeMaxMessageLength` are split into numbered parts
+ * (see `splitGroupMeMessage_`) and posted in order, stopping at the first
+ * part that fails. The returned `attempts` counts attempts across all parts,
+ * and `delivered` lists the parts posted (e.g. "1/3"). Parts listed in
+ * `optSkipParts` (from an earlier partial post) are not posted again.
+ *
+ * `optAttachments` (e.g. mentions) are only sent with single-part messages,
+ * since split parts shift the text offsets they refer to.
+ *
+ * @param {string} botId GroupMe bot id
+ * @param {string} text Message text
+ * @param {Array<Object>} [optAttachments] GroupMe attachments
+ * @param {string[]} [optSkipParts] Parts already posted (e.g. "1/3")
+ * @returns {{ok:boolean,status:number,attempts:number,error:string,delivered:string[]}} Post result
+ */
+function postGroupMeMessageWithBotId_(botId, text, optAttachments, optSkipParts) {
+  var result = { ok: false, status: 0, attempts: 0, error: "", delivered: [] };
+
+  var message = (text || "").toString().trim();
+  if (!message) {
+    Logger.log("No GroupMe message text provided.");
+    result.error = "No GroupMe message text provided.";
+    return result;
+  }
+
+  var normalizedBotId = (botId || "").toString().trim();
+  if (!normalizedBotId) {
+    Logger.log("No GroupMe bot id provided.");
+    result.error = "No GroupMe bot id provided.";
+    return result;
+  }
+
+  var parts = splitGroupMeMessage_(message);
+  if (optAttachments && parts.length > 1) {
+    Logger.log("GroupMe message was split into " + parts.length + " parts; attachments were dropped.");
+  }
+
+  result.ok = true;
+  for (var i = 0; i < parts.length; i++) {
+    var key = (i + 1) + "/" + parts.length;
+    if (parts.length > 1 && (optSkipParts || []).indexOf(key) !== -1) {
+      Logger.log("Skipping GroupMe part " + key + ": already posted.");
+      continue;
+    }
+
+    var posted = postGroupMePart_(normalizedBotId, parts[i], parts.length === 1 ? optAttachments : undefined);
+    result.ok = posted.ok;
+    result.status = posted.status;
+    result.attempts += posted.attempts;
+    result.error = posted.error;
+    if (!posted.ok) {
+      if (parts.length > 1) {
+        result.error = "Part " + (i + 1) + " of " + parts.length + ": " + posted.error;
+      }
+      break;
+    }
+    if (parts.length > 1) result.delivered.push(key);
+  }
+
+  return result;
+}
+
+/**
+ * Posts a single message (within the length limit) via the GroupMe Bot API.
+ *
+ * Any 2xx response is success. Transient failures (HTTP 429/5xx or a fetch
+ * exception) are retried up to `GroupMeMaxAttempts` times with exponential
+ * backoff; other statuses (e.g. 404 for an unknown bot id) fail immediately.
+ *
+ * @param {string} botId GroupMe bot id (trimmed, non-empty)
+ * @param {string} message Message text (non-empty)
+ * @param {Array<Object>} [optAttachments] GroupMe attachments
+ * @returns {{ok:boolean,status:number,attempts:number,error:string}} Post result
+ */
+function postGroupMePart_(botId, message, optAttachments) {
+  var payload = {
+    bot_id: botId,
+    text: message
+  };
+  if (optAttachments && optAttachments.length > 0) {
+    payload.attachments = optAttachments;
+  }
+
+  return postJson_("GroupMe", "https://api.groupme.com/v3/bots/post", payload);
+}
+
+/**
+ * Posts a JSON payload, retrying transient failures (HTTP 429/5xx or network
+ * errors) with exponential backoff.
+ *
+ * @param {string} label Service name used in errors (e.g. "GroupMe")
+ * @param {string} url Endpoint URL
+ * @param {Object} payload JSON payload
+ * @returns {{ok:boolean,status:number,attempts:number,error:string}}
+ */
+function postJson_(label, url, payload) {
+  var result = { ok: false, status: 0, attempts: 0, error: "" };
+
+  for (var attempt = 1; attempt <= GroupMeMaxAttempts; attempt++) {
+    var transient = true;
+    result.attempts = attempt;
+
+    try {
+      var response = UrlFetchApp.fetch(url, {
+        method: "post",
+        contentType: "application/json",
+        payload: JSON.stringify(payload),
+        muteHttpExceptions: true
+      });
+      result.status = response.getResponseCode();
+      if (result.status >= 200 && result.status < 300) {
+        result.ok = true;
+        result.error = "";
+        return result;
+      }
+
+      transient = isTransientHttpStatus_(result.status);
+      result.error = label + " post failed with HTTP " + result.status + ": " +
+        (response.getContentText() || "").toString().slice(0, 200);
+    } catch (e) {
+      result.status = 0;
+      result.error = label + " post failed: " + (e && e.message ? e.message : e);
+    }
+
+    if (!transient || attempt === GroupMeMaxAttempts) break;
+
+    Logger.log(result.error + " Retrying (attempt " + (attempt + 1) + " of " + GroupMeMaxAttempts + ").");
+    Utilities.sleep(GroupMeRetryDelayMs * Math.pow(2, attempt - 1));
+  }
+
+  Logger.log(result.error);
+  return result;
+}
+
+/**
+ * Returns the Google Sheets sign-up URL based on the configured sheet id.
+ *
+ * @param {string} [optSheetId] Spreadsheet ID (defaults to `SHEET_ID`)
+ * @returns {string} Sign-up URL
+ */
+function getSignupUrl_(optSheetId) {
+  var sheetId = optSheetId || getSheetId_();
+  return "https://docs.google.com/spreadsheets/d/" + sheetId + "/edit?usp=sharing";
+}
+
+/**
+ * Returns the gid of the Schedule tab, used to deep-link to a row.
+ *
+ * @param {string} [optSheetId] Spreadsheet ID (defaults to `SHEET_ID`)
+ * @returns {number|null} Sheet gid, or null when the tab is missing
+ */
+function getScheduleSheetGid_(optSheetId) {
+  var sheet = SpreadsheetApp.openById(optSheetId || getSheetId_()).getSheetByName(ScheduleSheetName);
+  return sheet ? sheet.getSheetId() : null;
+}
+
+/**
+ * Returns the sign-up link for one Schedule row.
+ *
+ * - With a sign-up form (`signupFormUrl` / `SIGNUP_FORM_URL`), the form URL
+ *   with `{{Date}}` replaced by the row date (yyyy-MM-dd). Use the form's
+ *   "Get pre-filled link" and put `{{Date}}` where the date answer goes.
+ * - Otherwise the sheet link, jumping to the row (`#gid=...&range=N:N`) when
+ *   the Schedule gid and row number are known.
+ *
+ * @param {Object|null} row Schedule row object
+ * @param {{signupUrl?:string,signupFormUrl?:string,scheduleGid?:number}} [optContext] Reminder context
+ * @returns {string} Sign-up URL
+ */
+function getRowSignupUrl_(row, optContext) {
+  var ctx = optContext || {};
+  var base = ctx.signupUrl || getSignupUrl_();
+  if (!row) return base;
+
+  if (ctx.signupFormUrl) {
+    var day = getRowDay_(row);
+    var date = isNaN(day) ? "" : formatCalendarDay_(day, "yyyy-MM-dd");
+    return ctx.signupFormUrl.replace(/\{\{\s*date\s*\}\}/gi, encodeURIComponent(date));
+  }
+
+  if (typeof ctx.scheduleGid === "number" && row.rowNumber) {
+    return base + "#gid=" + ctx.scheduleGid + "&range=" + row.rowNumber + ":" + row.rowNumber;
+  }
+
+  return base;
+}
+
+/**
+ * Builds the reminder context for a group: templates, group name, sign-up
+ * link settings and, when RSVPs are on, the RSVP settings and responses.
+ *
+ * @param {Object} [optGroup] Group config
+ * @param {string} sheetId Spreadsheet ID
+ * @returns {{templates:Object<string,string>,groupName:(string|undefined),signupUrl:string,signupFormUrl:string,scheduleGid:(number|null),rsvp:(Object|null),rsvps:Array<Object>}}
+ */
+function getReminderContext_(optGroup, sheetId) {
+  var rsvp = getRsvpConfig_();
+  return {
+    templates: loadTemplates_(sheetId),
+    groupName: optGroup && optGroup.name,
+    signupUrl: getSignupUrl_(sheetId),
+    signupFormUrl: optGroup
+      ? optGroup.signupFormUrl || ""
+      : PropertiesService.getScriptProperties().getProperty("SIGNUP_FORM_URL") || "",
+    scheduleGid: getScheduleSheetGid_(sheetId),
+    rsvp: rsvp,
+    rsvps: rsvp ? parseRsvps_(getOptionalSheetData_(RsvpSheetName, sheetId)) : []
+  };
+}
+
+/**
+ * Composes all reminder artifacts from a given schedule row.
+ *
+ * @param {Object|null} row Schedule row object
+ * @param {{templates?:Object<string,string>,groupName?:string,signupUrl?:string}} [optContext] Reminder context
+ * @returns {{subject:string,emailBody:string,message:string,row:Object|null}}
+ */
+function composeReminder_(row, optContext) {
+  return {
+    subject: buildEmailSubject_(row, optContext),
+    emailBody: buildEmailBody_(row, optContext),
+    message: buildGroupMeMessage_(row, optContext),
+    row: row
+  };
+}
+
+/**
+ * Composes reminder artifacts covering several rows (see `buildDigestEmailBody_`).
+ * With at most one row, the result matches `composeReminder_`.
+ *
+ * @param {Array<Object>} rows Schedule row objects, in date order
+ * @param {{templates?:Object<string,string>,groupName?:string,signupUrl?:string}} [optContext] Reminder context
+ * @returns {{subject:string,emailBody:string,message:string,row:Object|null,rows:Array<Object>}}
+ */
+function composeDigestReminder_(rows, optContext) {
+  return {
+    subject: buildDigestSubject_(rows, optContext),
+    emailBody: buildDigestEmailBody_(rows, optContext),
+    message: buildDigestGroupMeMessage_(rows, optContext),
+    row: rows[0] || null,
+    rows: rows
+  };
+}
+
+/**
+ * Returns recipients based on mode.
+ * @param {"prod"|"test"} mode
+ * @param {{sheetId:string,emailSheet:string}} [optGroup] Group config (prod only)
+ * @returns {Array<string|{email:string,name:string}>}
+ */
+function getRecipientsForMode_(mode, optGroup) {
+  return mode === "prod" ? getEmailRecipients_(optGroup) : getTestEmailRecipients_();
+}
+
+/**
+ * Returns GroupMe bot id based on mode.
+ *
+ * With a group config, uses its `groupMeBotId` (prod) or `testGroupMeBotId`
+ * (test, falling back to `TEST_GROUPME_BOT_ID`).
+ *
+ * @param {"prod"|"test"} mode
+ * @param {{name:string,groupMeBotId:string,testGroupMeBotId:string}} [optGroup] Group config
+ * @returns {string}
+ * @throws {Error} If no bot id is configured for the mode
+ */
+function getGroupMeBotIdForMode_(mode, optGroup) {
+  if (!optGroup) {
+    return mode === "prod" ? getGroupMeBotId_() : getTestGroupMeBotId_();
+  }
+
+  if (mode !== "prod") {
+    return optGroup.testGroupMeBotId || getTestGroupMeBotId_();
+  }
+
+  if (!optGroup.groupMeBotId) {
+    throw new Error(
+      "Missing GroupMe bot id for group \"" + optGroup.name + "\". Set groupMeBotId in the GROUPS " +
+      "script property (or GROUPME_BOT_ID for a single group)."
+    );
+  }
+
+  return optGroup.groupMeBotId;
+}
+
+/**
+ * Returns the spreadsheet ID for a group, or `SHEET_ID` without one.
+ *
+ * @param {{name:string,sheetId:string}} [optGroup] Group config
+ * @returns {string} Spreadsheet ID
+ * @throws {Error} If the group has no `sheetId`
+ */
+function resolveGroupSheetId_(optGroup) {
+  if (!optGroup) return getSheetId_();
+  if (!optGroup.sheetId) {
+    throw new Error("Group \"" + optGroup.name + "\" is missing sheetId in the GROUPS script property.");
+  }
+
+  return optGroup.sheetId;
+}
+
+/**
+ * Orchestrates sending the reminder for the next upcoming row through every
+ * configured notification channel (email, GroupMe and webhooks; see
+ * `getNotifiers_`), or only `opts.channels` when given.
+ *
+ * Without `opts.group`, uses the single spreadsheet configured by `SHEET_ID`.
+ * Each channel send is written to the SendLog sheet; in prod mode a channel
+ * already sent for the same row date is skipped unless `opts.force` is set.
+ *
+ * Channels are isolated: a failing channel (e.g. GroupMe down) is recorded in
+ * the result and does not stop the others.
+ *
+ * When several rows fall in the window, one digest reminder lists them all
+ * (see `composeDigestReminder_`); the SendLog row date is the first event's.
+ *
+ * The row is chosen by `selectReminderRow_` from `LOOKAHEAD_DAYS` and
+ * `REMINDER_CADENCES`; its variant ("weekly" or "day-of") selects variant
+ * templates and is logged, so each variant is de-duplicated separately. With
+ * cadences, nothing is sent to the group on days no cadence matches, and
+ * when cadences match several rows, each gets its own reminder (channel
+ * results for the extra ones are keyed "<channel>@<row date>").
+ *
+ * When no row is in the window, `EMPTY_SCHEDULE_POLICY` decides whether the
+ * group reminder is sent; organizer notices (empty schedule, schedule running
+ * out) are sent as their own logged channels (see `planOrganizerNotices_`).
+ *
+ * When RSVPs are on (see `getRsvpConfig_`), reminder emails are sent
+ * individually with each member's RSVP links, and GroupMe messages include
+ * the current headcount (`rsvpSummary` template).
+ *
+ * With `opts.dryRun`, nothing is sent or written to the SendLog: the row,
+ * recipients and bot are resolved, the content is rendered, and the report is
+ * logged, written to the Preview sheet and returned.
+ *
+ * @param {{mode:"prod"|"test", channels?:string[], optBaseDate?:any, group?:Object, force?:boolean, dryRun?:boolean}} opts
+ * @returns {Object} Send result `{group, mode, rowDate, variant, ok, channels: {email?, groupme?, ...}}` where each
+ *   channel is `{ok, outcome, recipients, error}` (see `sendWithLog_`); or, with `dryRun`, the report
+ *   `{group, mode, rowDate, variant, subject, emailBody, message, email: {status, recipients, invalidRecipients},
+ *   groupMe: {status, botId}, <webhook channel>: {status, url}}`
+ * @throws {Error} If the group has no `sheetId`
+ */
+function performReminderSend_(opts) {
+  var mode = (opts && opts.mode) || "prod";
+  var group = opts && opts.group;
+  var sheetId = resolveGroupSheetId_(group);
+  var scheduleData = getScheduleData_(sheetId);
+  var lookahead = getLookaheadDays_();
+  var selection = selectReminderRow_(scheduleData, opts && opts.optBaseDate, lookahead, getReminderCadences_());
+  var nextRow = selection.row;
+  var ctx = getReminderContext_(group, sheetId);
+  ctx.variant = selection.variant;
+  var reminder = composeDigestReminder_(selection.rows, ctx);
+  var log = {
+    sheetId: sheetId,
+    group: getGroupName_(ctx),
+    mode: mode,
+    rowDate: nextRow ? getRowDay_(nextRow) : "",
+    variant: selection.variant,
+    force: !!(opts && opts.force),
+    sendLog: getOptionalSheetData_(SendLogSheetName, sheetId)
+  };
+
+  // A cadence may reach past the lookahead window, so a matched row also counts as scheduled.
+  var plan = planOrganizerNotices_(scheduleData, nextRow || selection.windowRow, opts && opts.optBaseDate, ctx, lookahead);
+  if (selection.windowRow && !nextRow) {
+    plan.skipReminder = true;
+    plan.skipReason = "no reminder cadence due today";
+  }
+
+  if (opts && opts.dryRun) {
+    var report = buildPreviewReport_(opts, log, reminder, plan);
+    report.alsoDue = selection.more.map(function (more) {
+      return getSendLogDateKey_(getRowDay_(more.row)) + " (" + more.variant + ")";
+    });
+    Logger.log(JSON.stringify(report, null, 2));
+    writePreviewSheet_(sheetId, report);
+    return report;
+  }
+
+  var result = {
+    group: log.group, mode: mode, rowDate: getSendLogDateKey_(log.rowDate), variant: log.variant, ok: true, channels: {}
+  };
+
+  // Notices are de-duplicated per day, keyed by the base date.
+  var noticeLog = Object.assign({}, log, { rowDate: getBaseDay_(opts && opts.optBaseDate), variant: "" });
+  plan.notices.forEach(function (notice) {
+    result.channels[notice.channel] = sendWithLog_(noticeLog, notice.channel, function () {
+      return sendOrganizerNotice_(mode, notice);
+    });
+  });
+
+  if (plan.skipReminder) {
+    Logger.log("Group reminder for " + log.group + " skipped: " + plan.skipReason + ".");
+  }
+
+  var notifiers = plan.skipReminder ? [] : getReminderNotifiers_(opts, mode, group);
+  [selection].concat(selection.more).forEach(function (due, i) {
+    var dueCtx = i === 0 ? ctx : Object.assign({}, ctx, { variant: due.variant });
+    var dueLog = i === 0 ? log : Object.assign({}, log, { rowDate: getRowDay_(due.row), variant: due.variant });
+    var delivery = {
+      mode: mode, group: group, ctx: dueCtx, reminder: i === 0 ? reminder : composeDigestReminder_(due.rows, dueCtx)
+    };
+    var suffix = i === 0 ? "" : "@" + getSendLogDateKey_(dueLog.rowDate);
+
+    notifiers.forEach(function (notifier) {
+      result.channels[notifier.name + suffix] = sendWithLog_(dueLog, notifier.name, function (delivered) {
+        return notifier.send(notifier.getTarget(mode, group), Object.assign({ delivered: delivered }, delivery));
+      });
+    });
+  });
+
+  Object.keys(result.channels).forEach(function (channel) {
+    if (!result.channels[channel].ok) result.ok = false;
+  });
+
+  return result;
+}
+
+/**
+ * Summarizes the failed channels of a send result (e.g. "groupme: HTTP 404").
+ *
+ * @param {{channels:Object<string,{ok:boolean,error:string}>}} result Send result
+ * @returns {string} Failure summary
+ */
+function describeChannelFailures_(result) {
+  return Object.keys(result.channels)
+    .filter(function (channel) { return !result.channels[channel].ok; })
+    .map(function (channel) { return channel + " failed: " + result.channels[channel].error; })
+    .join(", ");
+}
+
+/**
+ * Runs a per-group task (e.g. `performReminderSend_`) for every configured group.
+ *
+ * Errors are caught per group so one broken group does not block the others.
+ * A group whose result has failed channels also counts as failed. Once all
+ * groups have run, a single error summarizing the failures is thrown.
+ *
+ * @param {string} label Task name for error messages (e.g. "Reminder")
+ * @param {function(Object):any} perform Task; receives `opts` plus `group`
+ * @param {Object} opts Task options
+ * @returns {Array<any>} Task results, one per successful group
+ * @throws {Error} If any group failed
+ */
+function runForAllGroups_(label, perform, opts) {
+  var groups = getGroups_();
+  var failures = [];
+  var results = [];
+
+  for (var i = 0; i < groups.length; i++) {
+    try {
+      var result = perform(Object.assign({}, opts, { group: groups[i] }));
+      results.push(result);
+      if (result && result.ok === false) {
+        failures.push(groups[i].name + ": " + describeChannelFailures_(result));
+      }
+    } catch (e) {
+      Logger.log(label + " failed for group \"" + groups[i].name + "\": " + (e && e.stack ? e.stack : e));
+      failures.push(groups[i].name + ": " + (e && e.message ? e.message : e));
+    }
+  }
+
+  if (failures.length > 0) {
+    throw new Error(
+      label + " failed for " + failures.length + " of " + groups.length + " group(s). " + failures.join("; ")
+    );
+  }
+
+  return results;
+}
+
+/**
+ * Runs `performReminderSend_` for every configured group (see `runForAllGroups_`).
+ *
+ * @param {{mode:"prod"|"test", channels?:string[], optBaseDate?:any, dryRun?:boolean}} opts
+ * @returns {Array<any>} `performReminderSend_` results, one per successful group
+ * @throws {Error} If any group failed
+ */
+function sendRemindersForAllGroups_(opts) {
+  return runForAllGroups_("Reminder", performReminderSend_, opts);
+}
+
+// -----------------------------------------------------------------------------
+// Notification channels
+// -----------------------------------------------------------------------------
+/**
+ * Returns the notifiers for group reminders, in send order.
+ *
+ * Each notifier resolves its own prod/test target and sends the composed
+ * reminder, so a new channel is added here rather than as another
+ * `performReminderSend_` option:
+ *
+ * - `name`: channel name used in results, the SendLog and `opts.channels`
+ * - `reportKey`: field of the dry-run report (see `buildPreviewReport_`)
+ * - `isConfigured(mode, group)` (optional): false skips the channel
+ * - `getTarget(mode, group)`: target for the mode; throws on a broken
+ *   configuration
+ * - `describe(target, group)`: target details for the dry-run report
+ * - `send(target, delivery)`: sends `delivery.reminder`, skipping what
+ *   `delivery.delivered` lists (see `sendWithLog_`); returns the recipient
+ *   count, or "" when not applicable; throws `partialSendError_` after a
+ *   partial delivery
+ *
+ * @returns {Array<Object>} Notifiers
+ */
+function getNotifiers_() {
+  return [
+    {
+      name: "email",
+      reportKey: "email",
+      getTarget: getRecipientsForMode_,
+      describe: function (recipients, group) {
+        var partitioned = partitionRecipients_(recipients);
+        // Matches sendEmailReminder_, which emails members one by one when RSVPs are on.
+        var sendMode = getRsvpConfig_() ? "individual" : getEmailSendMode_(group);
+        return { sendMode: sendMode, recipients: partitioned.valid, invalidRecipients: partitioned.invalid };
+      },
+      send: sendEmailReminder_
+    },
+    {
+      name: "groupme",
+      reportKey: "groupMe",
+      getTarget: getGroupMeBotIdForMode_,
+      describe: function (botId) { return { botId: maskSecret_(botId) }; },
+      send: function (botId, delivery) {
+        var posted = postGroupMeMessageWithBotId_(botId, delivery.reminder.message, undefined, delivery.delivered);
+        if (!posted.ok) {
+          throw partialSendError_(posted.error, posted.delivered);
+        }
+        return "";
+      }
+    }
+  ].concat(WebhookChannels.map(function (channel) {
+    return {
+      name: channel.name,
+      reportKey: channel.name,
+      isConfigured: function (mode, group) { return !!getWebhookUrl_(channel, mode, group); },
+      getTarget: function (mode, group) { return getWebhookUrl_(channel, mode, group); },
+      describe: function (url) { return { url: maskSecret_(url) }; },
+      send: function (url, delivery) {
+        // Split messages (Discord) are keyed "1/2", "2/2" like GroupMe parts, so a retry posts only the rest.
+        var delivered = [];
+        channel.buildPayloads(delivery).forEach(function (payload, i, payloads) {
+          var key = (i + 1) + "/" + payloads.length;
+          if (payloads.length > 1 && (delivery.delivered || []).indexOf(key) !== -1) {
+            Logger.log("Skipping " + channel.label + " part " + key + ": already posted.");
+            return;
+          }
+
+          var posted = postJson_(channel.label, url, payload);
+          if (!posted.ok) {
+            if (payloads.length === 1) throw new Error(posted.error);
+            throw partialSendError_("Part " + (i + 1) + " of " + payloads.length + ": " + posted.error, delivered);
+          }
+          if (payloads.length > 1) delivered.push(key);
+        });
+        return "";
+      }
+    };
+  }));
+}
+
+/**
+ * Returns the notifiers a reminder send uses: the configured ones, limited to
+ * `opts.channels` when given.
+ *
+ * @param {{channels?:string[]}} [opts] Send options
+ * @param {"prod"|"test"} mode
+ * @param {Object} [optGroup] Group config
+ * @returns {Array<Object>} Notifiers (see `getNotifiers_`)
+ */
+function getReminderNotifiers_(opts, mode, optGroup) {
+  var only = opts && opts.channels;
+  return getNotifiers_().filter(function (notifier) {
+    if (only && only.indexOf(notifier.name) === -1) return false;
+    return !notifier.isConfigured || notifier.isConfigured(mode, optGroup);
+  });
+}
+
+/**
+ * Drops recipients whose email is listed in `delivered` (case-insensitive),
+ * e.g. members an earlier partial send already emailed.
+ *
+ * @param {Array<any>} recipients Recipient values (strings or `{email, name}`)
+ * @param {string[]} [delivered] Emails already sent to
+ * @returns {Array<any>} Remaining recipients
+ */
+function withoutDelivered_(recipients, delivered) {
+  var done = (delivered || []).map(function (email) { return email.toLowerCase(); });
+  if (done.length === 0) return recipients;
+
+  return (recipients || []).filter(function (r) {
+    var email = ((r && typeof r === "object" ? r.email : r) || "").toString().trim().toLowerCase();
+    return done.indexOf(email) === -1;
+  });
+}
+
+/**
+ * Sends the reminder email: to the group's recipients in the group's send
+ * mode with the .ics invites, or individually with RSVP links when RSVPs are
+ * on (see `getRsvpConfig_`). Members listed in `delivery.delivered` are
+ * skipped.
+ *
+ * With RSVPs on, every reminder is one email per member whatever the
+ * group's send mode. The MailApp daily quota counts recipients, so it still
+ * costs one unit per member, but it takes one send call each (slower runs,
+ * and a failure partway leaves a partial send); when the remaining quota
+ * cannot cover every member nothing is sent.
+ *
+ * @param {Array<any>} recipients Recipients (see `getRecipientsForMode_`)
+ * @param {{group?:Object,ctx:Object,reminder:Object,delivered?:string[]}} delivery Reminder delivery
+ * @returns {number} Number of recipients emailed
+ */
+function sendEmailReminder_(recipients, delivery) {
+  var reminder = delivery.reminder;
+  var ctx = delivery.ctx;
+  var body = reminder.emailBody;
+  var sendMode = getEmailSendMode_(delivery.group);
+  if (ctx.rsvp) {
+    // RSVP links are per recipient, so each member gets their own email.
+    sendMode = "individual";
+    body = function (recipient) {
+      return reminder.emailBody + "\n" + buildRsvpLinksHtml_(reminder.rows, ctx, recipient.email);
+    };
+  }
+
+  return sendEmailToRecipients_(
+    reminder.subject, body, withoutDelivered_(recipients, delivery.delivered), sendMode,
+    getReminderAttachments_(reminder.rows, ctx)
+  );
+}
+
+/**
+ * Returns a webhook channel's URL for the mode.
+ *
+ * Prod uses the group's `webhooks[<channel>]` (from `GROUPS`, or the channel's
+ * property such as `SLACK_WEBHOOK_URL` for a single group); test uses the
+ * `TEST_`-prefixed property (e.g. `TEST_SLACK_WEBHOOK_URL`).
+ *
+ * @param {{name:string,property:string}} channel Webhook channel (see `WebhookChannels`)
+ * @param {"prod"|"test"} mode
+ * @param {{webhooks?:Object<string,string>}} [optGroup] Group config
+ * @returns {string} Webhook URL, or "" when not configured
+ */
+function getWebhookUrl_(channel, mode, optGroup) {
+  if (mode !== "prod") {
+    return (PropertiesService.getScriptProperties().getProperty("TEST_" + channel.property) || "").toString().trim();
+  }
+
+  var webhooks = (optGroup || getDefaultGroup_()).webhooks || {};
+  return (webhooks[channel.name] || "").toString().trim();
+}
+
+/**
+ * Payload for the generic JSON webhook: the whole composed reminder.
+ *
+ * @param {{group?:Object,ctx:Object,reminder:Object}} delivery Reminder delivery
+ * @returns {Array<Object>} One payload
+ */
+function buildJsonWebhookPayloads_(delivery) {
+  var reminder = delivery.reminder;
+  return [{
+    group: getGroupName_(delivery.ctx),
+    variant: delivery.ctx.variant || "",
+    dates: reminder.rows.map(function (row) { return getSendLogDateKey_(getRowDay_(row)); }),
+    subject: reminder.subject,
+    text: reminder.message,
+    html: reminder.emailBody
+  }];
+}
+
+/**
+ * Payload for a Slack incoming webhook.
+ *
+ * @param {{reminder:Object}} delivery Reminder delivery
+ * @returns {Array<Object>} One payload
+ */
+function buildSlackPayloads_(delivery) {
+  return [{ text: delivery.reminder.message }];
+}
+
+/**
+ * Payloads for a Discord webhook, split to Discord's message length limit.
+ *
+ * @param {{reminder:Object}} delivery Reminder delivery
+ * @returns {Array<Object>} One payload per message part
+ */
+function buildDiscordPayloads_(delivery) {
+  return chunkText_(delivery.reminder.message, DiscordMaxMessageLength).map(function (part) {
+    return { content: part };
+  });
+}
+
+/**
+ * Payload for an SMS gateway webhook: the subject line and the event's
+ * sign-up link, to `SMS_RECIPIENTS` (`TEST_SMS_RECIPIENTS` in test mode)
+ * when set.
+ *
+ * @param {{mode:string,ctx:Object,reminder:Object}} delivery Reminder delivery
+ * @returns {Array<Object>} One payload
+ */
+function buildSmsPayloads_(delivery) {
+  var reminder = delivery.reminder;
+  var props = PropertiesService.getScriptProperties();
+  var to = (props.getProperty(delivery.mode === "prod" ? "SMS_RECIPIENTS" : "TEST_SMS_RECIPIENTS") || "")
+    .split(",")
+    .map(function (number) { return number.trim(); })
+    .filter(function (number) { return !!number; });
+  var payload = { message: reminder.subject + "\n" + getRowSignupUrl_(reminder.row, delivery.ctx) };
+  if (to.length > 0) payload.to = to;
+  return [payload];
+}
+
+// -----------------------------------------------------------------------------
+// Duty nudges
+// -----------------------------------------------------------------------------
+/**
+ * Splits an assignment cell into individual names.
+ *
+ * Names may be separated by commas, semicolons, "&", "/", "+" or the word "and".
+ *
+ * @param {any} value Cell value (e.g. "Ann & Bob")
+ * @returns {string[]} Trimmed names
+ */
+function splitAssigneeNames_(value) {
+  return (value || "")
+    .toString()
+    .split(/\s*(?:[,;&\/+]|\band\b)\s*/i)
+    .map(function (name) { return name.trim(); })
+    .filter(function (name) { return !!name; });
+}
+
+/**
+ * Finds the member matching a name from the Schedule sheet.
+ *
+ * Matches the full name first (case-insensitive), then a first name that
+ * belongs to exactly one member (so "Kim" finds "Kim Lee").
+ *
+ * @param {Array<{name:string}>} members Members from `parseMembers_`
+ * @param {string} name Name from an assignment cell
+ * @returns {Object|null} Matching member, or null
+ */
+function findMemberByName_(members, name) {
+  var wanted = normalizeHeader_(name);
+  if (!wanted) return null;
+
+  var exact = members.filter(function (m) { return normalizeHeader_(m.name) === wanted; });
+  if (exact.length > 0) return exact[0];
+
+  var byFirstName = members.filter(function (m) {
+    return normalizeHeader_(m.name).split(" ")[0] === wanted;
+  });
+  return byFirstName.length === 1 ? byFirstName[0] : null;
+}
+
+/**
+ * Matches the people named in a row's duty columns (see `DutyColumns`)
+ * against members.
+ *
+ * A member assigned to several duties gets a single assignment listing all of
+ * them. Inactive (opted-out) members are never nudged; their names are
+ * reported in `optedOut` instead.
+ *
+ * @param {Object} row Schedule row object
+ * @param {Array<Object>} members Members from `parseMembers_`
+ * @returns {{assignments:Array<{member:Object,duties:string[]}>,unmatched:string[],optedOut:string[]}}
+ */
+function getDutyAssignments_(row, members) {
+  var result = { assignments: [], unmatched: [], optedOut: [] };
+
+  DutyColumns.forEach(function (column) {
+    splitAssigneeNames_(row[column.key]).forEach(function (name) {
+      var member = findMemberByName_(members, name);
+      if (!member) {
+        result.unmatched.push(name);
+        return;
+      }
+      if (!member.active) {
+        if (result.optedOut.indexOf(name) === -1) result.optedOut.push(name);
+        return;
+      }
+
+      var existing = result.assignments.filter(function (a) { return a.member.email === member.email; })[0];
+      if (existing) {
+        if (existing.duties.indexOf(column.label) === -1) existing.duties.push(column.label);
+      } else {
+        result.assignments.push({ member: member, duties: [column.label] });
+      }
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Sends personal "you're on duty" nudges for the next upcoming row.
+ *
+ * Each person named in the Childcare Duty or Host column is matched to the
+ * Emails sheet by name and nudged according to their Channel preference:
+ * an email (`email`/`both`) and/or a GroupMe post mentioning them
+ * (`groupme`/`both`; a real @mention needs their `GroupMe User ID`). In test
+ * mode the nudges go to `TEST_EMAIL_RECIPIENTS` and the test bot instead.
+ * Each nudge is logged in the SendLog, so prod nudges are sent once per row.
+ * Inactive members are skipped and listed in `optedOut`.
+ *
+ * @param {{mode:"prod"|"test", optBaseDate?:any, group?:Object, force?:boolean}} opts
+ * @returns {{group:string,mode:string,rowDate:string,ok:boolean,channels:Object,unmatched:string[],optedOut:string[]}}
+ */
+function performDutyNudges_(opts) {
+  var mode = (opts && opts.mode) || "prod";
+  var group = opts && opts.group;
+  var sheetId = resolveGroupSheetId_(group);
+  var row = getNextUpcomingRow_(getScheduleData_(sheetId), opts && opts.optBaseDate, getLookaheadDays_());
+  var ctx = getReminderContext_(group, sheetId);
+  var result = {
+    group: getGroupName_(ctx), mode: mode, rowDate: "", ok: true, channels: {}, unmatched: [], optedOut: []
+  };
+
+  if (!row || isNoGroupRow_(row)) {
+    Logger.log("No upcoming group meeting for " + result.group + "; no duty nudges sent.");
+    return result;
+  }
+
+  var duties = getDutyAssignments_(row, getMembers_(group));
+  result.rowDate = getSendLogDateKey_(getRowDay_(row));
+  result.unmatched = duties.unmatched;
+  if (duties.unmatched.length > 0) {
+    Logger.log("No Emails sheet Name matches duty assignee(s) for " + result.group + ": " + duties.unmatched.join(", "));
+  }
+  result.optedOut = duties.optedOut;
+  if (duties.optedOut.length > 0) {
+    Logger.log("Not nudging opted-out duty assignee(s) for " + result.group + ": " + duties.optedOut.join(", "));
+  }
+
+  var log = {
+    sheetId: sheetId,
+    group: result.group,
+    mode: mode,
+    rowDate: getRowDay_(row),
+    force: !!(opts && opts.force),
+    sendLog: getOptionalSheetData_(SendLogSheetName, sheetId)
+  };
+
+  duties.assignments.forEach(function (assignment) {
+    var member = assignment.member;
+    var values = getTemplateValues_(row, ctx, getRowSignupUrl_(row, ctx));
+    values["membername"] = member.name;
+    values["duty"] = assignment.duties.join(" and ");
+
+    if (member.channel !== "groupme") {
+      result.channels["nudge-email:" + member.email] = sendWithLog_(log, "nudge-email:" + member.email, function () {
+        var to = mode === "prod" ? [member.email] : getTestEmailRecipients_();
+        return sendEmailToRecipients_(
+          renderTemplate_(getTemplate_(ctx, "nudgeSubject"), values),
+          renderTemplate_(getTemplate_(ctx, "nudgeEmail"), values, escapeHtml_),
+          to
+        );
+      });
+    }
+
+    if (member.channel !== "email") {
+      result.channels["nudge-groupme:" + member.email] = sendWithLog_(log, "nudge-groupme:" + member.email, function () {
+        var text = renderTemplate_(getTemplate_(ctx, "nudgeGroupMe"), values);
+        var mentionAt = text.indexOf("@" + member.name);
+        var attachments = member.groupMeUserId && mentionAt !== -1
+          ? [{ type: "mentions", user_ids: [member.groupMeUserId], loci: [[mentionAt, member.name.length + 1]] }]
+          : undefined;
+        var posted = postGroupMeMessageWithBotId_(getGroupMeBotIdForMode_(mode, group), text, attachments);
+        if (!posted.ok) {
+          throw new Error(posted.error);
+        }
+        return "";
+      });
+    }
+  });
+
+  Object.keys(result.channels).forEach(function (channel) {
+    if (!result.channels[channel].ok) result.ok = false;
+  });
+
+  return result;
+}
+
+// -----------------------------------------------------------------------------
+// Open slots
+// -----------------------------------------------------------------------------
+/**
+ * Returns how many upcoming Schedule rows the open-slots digest scans, from
+ * `OPEN_SLOTS_ROWS` (default `DefaultOpenSlotsRows`).
+ *
+ * @returns {number}
+ */
+function getOpenSlotsRows_() {
+  var value = PropertiesService.getScriptProperties().getProperty("OPEN_SLOTS_ROWS");
+  var parsed = parseInt(value, 10);
+  if (value && (isNaN(parsed) || parsed < 1)) {
+    Logger.log("Invalid OPEN_SLOTS_ROWS \"" + value + "\"; using " + DefaultOpenSlotsRows + ".");
+  }
+  return isNaN(parsed) || parsed < 1 ? DefaultOpenSlotsRows : parsed;
+}
+
+/**
+ * Finds blank assignment cells (see `OpenSlotColumns`) in the next rows.
+ *
+ * The next `rowCount` rows dated today or later are scanned in date order;
+ * "No Group" rows among them are skipped.
+ *
+ * @param {Array<Array<any>>} data 2D array of Schedule sheet values
+ * @param {any} optBaseDate Optional base date override
+ * @param {number} rowCount Number of upcoming rows to scan
+ * @returns {Array<{row:Object,missing:string[]}>} Rows with open slots, in date order
+ */
+function findOpenSlots_(data, optBaseDate, rowCount) {
+  return getFutureScheduleRows_(data, optBaseDate)
+    .sort(function (a, b) { return getRowDay_(a) - getRowDay_(b); })
+    .slice(0, rowCount)
+    .filter(function (row) { return !isNoGroupRow_(row); })
+    .map(function (row) {
+      var missing = OpenSlotColumns.filter(function (column) {
+        return (row[column.key] || "").toString().trim() === "";
+      }).map(function (column) { return column.label; });
+      return { row: row, missing: missing };
+    })
+    .filter(function (slot) { return slot.missing.length > 0; });
+}
+
+/**
+ * Returns the placeholder values for the open-slots subject and intro:
+ * `{{GroupName}}`, `{{SlotCount}}` (blank cells) and `{{EventCount}}`.
+ *
+ * @param {Array<{row:Object,missing:string[]}>} slots Open slots (see `findOpenSlots_`)
+ * @param {Object} ctx Reminder context
+ * @returns {Object<string,string>}
+ */
+function getOpenSlotsValues_(slots, ctx) {
+  return {
+    groupname: getGroupName_(ctx),
+    slotcount: slots.reduce(function (sum, slot) { return sum + slot.missing.length; }, 0).toString(),
+    eventcount: slots.length.toString()
+  };
+}
+
+/**
+ * Builds the open-slots email: the intro line, then one line per row with
+ * the missing assignments and the row's sign-up link.
+ *
+ * @param {Array<{row:Object,missing:string[]}>} slots Open slots (see `findOpenSlots_`)
+ * @param {Object} ctx Reminder context
+ * @returns {string} HTML body
+ */
+function buildOpenSlotsEmailBody_(slots, ctx) {
+  var intro = renderTemplate_(getTemplate_(ctx, "openSlotsIntro"), getOpenSlotsValues_(slots, ctx), escapeHtml_);
+  return "<p><strong>" + intro + "</strong></p>\n<ul>\n" + slots.map(function (slot) {
+    return "  <li>" + escapeHtml_(formatRowDate_(getRowDay_(slot.row), "EEEE, MMMM d")) + ": " +
+      escapeHtml_(slot.missing.join(", ")) +
+      " (<a href=\"" + escapeHtml_(getRowSignupUrl_(slot.row, ctx)) + "\">sign up</a>)</li>";
+  }).join("\n") + "\n</ul>";
+}
+
+/**
+ * Builds the open-slots GroupMe text (same content as the email).
+ *
+ * @param {Array<{row:Object,missing:string[]}>} slots Open slots (see `findOpenSlots_`)
+ * @param {Object} ctx Reminder context
+ * @returns {string} Message text
+ */
+function buildOpenSlotsGroupMeMessage_(slots, ctx) {
+  var intro = renderTemplate_(getTemplate_(ctx, "openSlotsIntro"), getOpenSlotsValues_(slots, ctx));
+  return [intro].concat(slots.map(function (slot) {
+    return "- " + getShortDate_(getRowDay_(slot.row)) + ": " + slot.missing.join(", ") +
+      "\n  Sign up: " + getRowSignupUrl_(slot.row, ctx);
+  })).join("\n");
+}
+
+/**
+ * Sends a "still needed" summary of blank Food Theme / Childcare Duty cells
+ * in the next `OPEN_SLOTS_ROWS` Schedule rows to the group by email and
+ * GroupMe. Nothing is sent when every slot is filled.
+ *
+ * Each channel is logged in the SendLog (`open-slots-email`,
+ * `open-slots-groupme`) keyed by the base date, so prod sends go out once a
+ * day.
+ *
+ * @param {{mode:"prod"|"test", optBaseDate?:any, group?:Object, force?:boolean}} opts
+ * @returns {{group:string,mode:string,ok:boolean,channels:Object,slots:number}}
+ */
+function performOpenSlotsDigest_(opts) {
+  var mode = (opts && opts.mode) || "prod";
+  var group = opts && opts.group;
+  var sheetId = resolveGroupSheetId_(group);
+  var slots = findOpenSlots_(getScheduleData_(sheetId), opts && opts.optBaseDate, getOpenSlotsRows_());
+  var ctx = getReminderContext_(group, sheetId);
+  var result = { group: getGroupName_(ctx), mode: mode, ok: true, channels: {}, slots: slots.length };
+
+  if (slots.length === 0) {
+    Logger.log("No open slots in the upcoming Schedule rows for " + result.group + "; nothing sent.");
+    return result;
+  }
+
+  var log = {
+    sheetId: sheetId,
+    group: result.group,
+    mode: mode,
+    rowDate: getBaseDay_(opts && opts.optBaseDate),
+    force: !!(opts && opts.force),
+    sendLog: getOptionalSheetData_(SendLogSheetName, sheetId)
+  };
+
+  result.channels["open-slots-email"] = sendWithLog_(log, "open-slots-email", function (delivered) {
+    return sendEmailToRecipients_(
+      renderTemplate_(getTemplate_(ctx, "openSlotsSubject"), getOpenSlotsValues_(slots, ctx)),
+      buildOpenSlotsEmailBody_(slots, ctx),
+      withoutDelivered_(getRecipientsForMode_(mode, group), delivered),
+      getEmailSendMode_(group)
+    );
+  });
+
+  result.channels["open-slots-groupme"] = sendWithLog_(log, "open-slots-groupme", function (delivered) {
+    var posted = postGroupMeMessageWithBotId_(
+      getGroupMeBotIdForMode_(mode, group), buildOpenSlotsGroupMeMessage_(slots, ctx), undefined, delivered
+    );
+    if (!posted.ok) {
+      throw partialSendError_(posted.error, posted.delivered);
+    }
+    return "";
+  });
+
+  Object.keys(result.channels).forEach(function (channel) {
+    if (!result.channels[channel].ok) result.ok = false;
+  });
+
+  return result;
+}
+
+// -----------------------------------------------------------------------------
+// GroupMe commands
+// -----------------------------------------------------------------------------
+/**
+ * Returns the configured group whose GroupMe group id matches a callback.
+ *
+ * @param {any} groupMeGroupId `group_id` from the callback payload
+ * @returns {Object|null} Group config, or null when no group is registered for it
+ */
+function findGroupByGroupMeId_(groupMeGroupId) {
+  var id = (groupMeGroupId || "").toString().trim();
+  if (!id) return null;
+
+  var groups = getGroups_();
+  for (var i = 0; i < groups.length; i++) {
+    if (groups[i].groupMeGroupId && groups[i].groupMeGroupId === id) return groups[i];
+  }
+  return null;
+}
+
+/**
+ * Returns future Schedule rows in date order (rows on the same date keep
+ * their sheet order).
+ *
+ * @param {Array<Array<any>>} data 2D array of Schedule sheet values
+ * @param {any} [optBaseDate] Base date override (see `parseBaseDate_`)
+ * @returns {Array<Object>} Row objects
+ */
+function getFutureRowsByDate_(data, optBaseDate) {
+  return getFutureScheduleRows_(data, optBaseDate)
+    .map(function (row, index) { return { row: row, index: index }; })
+    .sort(function (a, b) { return getRowDay_(a.row) - getRowDay_(b.row) || a.index - b.index; })
+    .map(function (entry) { return entry.row; });
+}
+
+/**
+ * Builds the reply to a member command.
+ *
+ * - `!next`: the next row, formatted like the GroupMe reminder (`composeReminder_`)
+ * - `!schedule`: one line per row in the next four weeks
+ * - `!food` / `!childcare`: the food theme (and host) or childcare duty for the
+ *   next meeting, skipping "No Group" rows
+ * - `!help`: the list of commands
+ *
+ * @param {string} command One of `GroupMeCommands`
+ * @param {Object} group Group config
+ * @param {any} [optBaseDate] Base date override (see `parseBaseDate_`)
+ * @returns {string} Plaintext reply
+ */
+function buildCommandReply_(command, group, optBaseDate) {
+  if (command === "!help") {
+    return "Commands: " + GroupMeCommands.join(", ");
+  }
+
+  var sheetId = resolveGroupSheetId_(group);
+  var ctx = getReminderContext_(group, sheetId);
+  var rows = getFutureRowsByDate_(getScheduleData_(sheetId), optBaseDate);
+  var meeting = rows.filter(function (row) { return !isNoGroupRow_(row); })[0];
+
+  function text(value, fallback) {
+    var s = (value === null || value === undefined ? "" : value).toString().trim();
+    return s || fallback;
+  }
+
+  if (command === "!next") {
+    return rows.length > 0 ? composeReminder_(rows[0], ctx).message : "No upcoming events on the schedule.";
+  }
+
+  if (command === "!schedule") {
+    var until = getBaseDay_(optBaseDate) + ScheduleCommandDays;
+    var lines = rows
+      .filter(function (row) { return getRowDay_(row) < until; })
+      .map(function (row) {
+        var when = getShortDate_(getRowDay_(row));
+        return isNoGroupRow_(row)
+          ? when + ": NO GROUP"
+          : when + ": " + text(row.description, "Group") + (row.location ? " @ " + row.location : "");
+      });
+    return lines.length > 0
+      ? "Next 4 weeks for " + getGroupName_(ctx) + ":\n" + lines.join("\n")
+      : "Nothing on the schedule for the next 4 weeks.";
+  }
+
+  if (!meeting) return "No upcoming meetings on the schedule.";
+  var day = getShortDate_(getRowDay_(meeting));
+
+  if (command === "!food") {
+    var host = text(meeting.host, "");
+    return "Food for " + day + ": " + text(meeting.foodTheme, "not set yet") + (host ? " (host: " + host + ")" : "");
+  }
+
+  return "Childcare for " + day + ": " + text(meeting.childcareDuty, "not assigned yet");
+}
+
+/**
+ * Handles a GroupMe bot callback payload.
+ *
+ * Messages from bots (including this one) and system messages are ignored,
+ * as are messages that are not a known command and callbacks whose
+ * `group_id` does not match a configured `groupMeGroupId`.
+ *
+ * @param {{group_id?:string,sender_type?:string,system?:boolean,text?:string}} payload Callback payload
+ * @param {any} [optBaseDate] Base date override (see `parseBaseDate_`)
+ * @returns {{group:Object,command:string,reply:string}|null} Reply to post, or null to ignore
+ */
+function handleGroupMeCallback_(payload, optBaseDate) {
+  if (!payload || payload.system || payload.sender_type === "bot" || payload.sender_type === "system") return null;
+
+  var command = (payload.text || "").toString().trim().split(/\s+/)[0].toLowerCase();
+  if (GroupMeCommands.indexOf(command) === -1) return null;
+
+  var group = findGroupByGroupMeId_(payload.group_id);
+  if (!group) {
+    Logger.log("Ignoring GroupMe command from unregistered group id: " + payload.group_id);
+    return null;
+  }
+
+  return { group: group, command: command, reply: buildCommandReply_(command, group, optBaseDate) };
+}
+
+// -----------------------------------------------------------------------------
+// RSVPs
+// -----------------------------------------------------------------------------
+/**
+ * Returns the RSVP settings, or null when RSVPs are off.
+ *
+ * RSVPs are on when `WEB_APP_URL` (the deployed web app URL, served by
+ * `doGet`) and `RSVP_SECRET` (a long random string used to sign links) are
+ * both set.
+ *
+ * @returns {{url:string,secret:string}|null}
+ */
+function getRsvpConfig_() {
+  var props = PropertiesService.getScriptProperties();
+  var url = (props.getProperty("WEB_APP_URL") || "").toString().trim();
+  var secret = (props.getProperty("RSVP_SECRET") || "").toString();
+  if (!url) return null;
+  if (!secret) {
+    Logger.log("WEB_APP_URL is set but RSVP_SECRET is not; RSVP links are disabled.");
+    return null;
+  }
+
+  return { url: url, secret: secret };
+}
+
+/**
+ * Signs a recipient's RSVP link so responses cannot be recorded for others.
+ * The response itself is not signed: one token covers yes, maybe and no.
+ *
+ * @param {string} secret `RSVP_SECRET`
+ * @param {string} groupName Group name
+ * @param {string} dateKey Event date (yyyy-MM-dd)
+ * @param {string} email Recipient email
+ * @returns {string} Web-safe base64 HMAC-SHA256 token
+ */
+function signRsvp_(secret, groupName, dateKey, email) {
+  var message = [groupName, dateKey, email.toString().trim().toLowerCase()].join("\n");
+  return Utilities.base64EncodeWebSafe(Utilities.computeHmacSha256Signature(message, secret)).replace(/=+$/, "");
+}
+
+/**
+ * Builds the web app URL that records one RSVP response.
+ *
+ * @param {{url:string,secret:string}} config RSVP settings (see `getRsvpConfig_`)
+ * @param {string} groupName Group name
+ * @param {string} dateKey Event date (yyyy-MM-dd)
+ * @param {string} email Recipient email
+ * @param {string} response One of `RsvpResponses`
+ * @returns {string} RSVP URL
+ */
+function buildRsvpUrl_(config, groupName, dateKey, email, response) {
+  var params = { g: groupName, d: dateKey, e: email, r: response, t: signRsvp_(config.secret, groupName, dateKey, email) };
+  return config.url + (config.url.indexOf("?") === -1 ? "?" : "&") + Object.keys(params).map(function (key) {
+    return key + "=" + encodeURIComponent(params[key]);
+  }).join("&");
+}
+
+/**
+ * Builds the recipient's yes/maybe/no links, one line per meeting row
+ * ("No Group" rows are skipped). Empty when RSVPs are off.
+ *
+ * @param {Array<Object>} rows Schedule row objects covered by the reminder
+ * @param {{rsvp?:Object}} ctx Reminder context
+ * @param {string} email Recipient email
+ * @returns {string} HTML
+ */
+function buildRsvpLinksHtml_(rows, ctx, email) {
+  var config = ctx && ctx.rsvp;
+  if (!config || !email) return "";
+
+  return rows.filter(function (row) { return row && !isNoGroupRow_(row); }).map(function (row) {
+    var dateKey = getSendLogDateKey_(getRowDay_(row));
+    var prompt = renderTemplate_(getTemplate_(ctx, "rsvpPrompt"), getTemplateValues_(row, ctx), escapeHtml_);
+    var links = Object.keys(RsvpResponses).map(function (response) {
+      var url = buildRsvpUrl_(config, getGroupName_(ctx), dateKey, email, response);
+      return "<a href=\"" + escapeHtml_(url) + "\">" + RsvpResponses[response] + "</a>";
+    });
+    return "<p><strong>" + prompt + "</strong> " + links.join(" · ") + "</p>";
+  }).join("\n");
+}
+
+/**
+ * Parses RSVPs sheet values into response objects.
+ *
+ * Expects `Group`, `Event Date`, `Email` and `Response` headers; `Kids` is
+ * optional.
+ *
+ * @param {Array<Array<any>>|null} data 2D array of RSVPs sheet values
+ * @returns {Array<{rowNumber:number,group:string,dateKey:string,email:string,response:string,kids:number}>}
+ * @throws {Error} If a required column is missing
+ */
+function parseRsvps_(data) {
+  if (!data || data.length < 2) return [];
+
+  var indexes = mapHeaderColumns_(data[0], [
+    { key: "group", header: "Group" },
+    { key: "date", header: "Event Date" },
+    { key: "email", header: "Email" },
+    { key: "response", header: "Response" },
+    { key: "kids", header: "Kids", optional: true }
+  ], RsvpSheetName);
+
+  var rsvps = [];
+  for (var i = 1; i < data.length; i++) {
+    var row = data[i];
+    var kids = indexes.kids >= 0 ? parseInt(row[indexes.kids], 10) : 0;
+    rsvps.push({
+      rowNumber: i + 1,
+      group: (row[indexes.group] || "").toString(),
+      dateKey: getSendLogDateKey_(row[indexes.date]),
+      email: (row[indexes.email] || "").toString().trim().toLowerCase(),
+      response: (row[indexes.response] || "").toString().trim().toLowerCase(),
+      kids: kids > 0 ? kids : 0
+    });
+  }
+
+  return rsvps;
+}
+
+/**
+ * Counts the responses for one event. Kids are counted for "yes" responses.
  *
- * @param {string} sheetName Sheet tab name
- * @returns {Array<Array<any>>} 2D array of values (rows x columns)
+ * @param {Array<Object>} rsvps Parsed RSVPs (see `parseRsvps_`)
+ * @param {string} groupName Group name
+ * @param {string} dateKey Event date (yyyy-MM-dd)
+ * @returns {{yes:number,maybe:number,no:number,kids:number}}
  */
-function getSheetData_(sheetName) {
-  var ss = SpreadsheetApp.openById(getSheetId_());
-  var sheet = ss.getSheetByName(sheetName);
+function getRsvpCounts_(rsvps, groupName, dateKey) {
+  var counts = { yes: 0, maybe: 0, no: 0, kids: 0 };
+  (rsvps || []).forEach(function (rsvp) {
+    if (rsvp.group !== groupName || rsvp.dateKey !== dateKey || !dateKey) return;
+    if (!Object.prototype.hasOwnProperty.call(counts, rsvp.response)) return;
+    counts[rsvp.response]++;
+    if (rsvp.response === "yes") counts.kids += rsvp.kids;
+  });
 
-  return sheet.getDataRange().getValues(); // 2D array
+  return counts;
 }
 
-// -----------------------------------------------------------------------------
-// Schedule lookup
-// -----------------------------------------------------------------------------
 /**
- * Finds the first upcoming row in the next 7 days.
+ * Records a response in the RSVPs sheet, replacing the recipient's earlier
+ * response for the same event. Without a kids count, an earlier count is
+ * kept; "no" always records 0 kids.
  *
- * Expects column A (index 0) to contain a date value. Skips the header row.
+ * Holds the script lock while reading and writing, so two responses saved at
+ * once cannot both append a row for the same recipient.
  *
- * @param {Array<Array<any>>} data 2D array of Schedule sheet values
- * @returns {Array<any>|null} First matching row, or null if none
+ * @param {string} sheetId Spreadsheet ID
+ * @param {{group:string,dateKey:string,email:string,response:string,kids:(number|null)}} entry
+ * @returns {number} Kids count recorded
+ * @throws {Error} If the lock is not free within `RsvpLockWaitMs`
  */
-function parseBaseDate_(optDate) {
-  if (!optDate) {
-    var now = new Date();
-    now.setHours(12, 0, 0, 0);
-    return now;
+function recordRsvp_(sheetId, entry) {
+  var lock = LockService.getScriptLock();
+  lock.waitLock(RsvpLockWaitMs);
+  try {
+    return writeRsvp_(sheetId, entry);
+  } finally {
+    lock.releaseLock();
   }
+}
+
+/**
+ * Writes a response for `recordRsvp_`, which holds the script lock.
+ *
+ * @param {string} sheetId Spreadsheet ID
+ * @param {{group:string,dateKey:string,email:string,response:string,kids:(number|null)}} entry
+ * @returns {number} Kids count recorded
+ */
+function writeRsvp_(sheetId, entry) {
+  var sheet = getOrCreateSheet_(RsvpSheetName, RsvpHeaders, sheetId);
+  var data = sheet.getDataRange().getValues();
+  var email = entry.email.toString().trim().toLowerCase();
+  var existing = parseRsvps_(data).filter(function (rsvp) {
+    return rsvp.group === entry.group && rsvp.dateKey === entry.dateKey && rsvp.email === email;
+  })[0];
 
-  if (optDate instanceof Date) {
-    var d = new Date(optDate.getTime());
-    d.setHours(12, 0, 0, 0);
-    return d;
+  var kids = entry.response === "no" ? 0 : entry.kids !== null ? entry.kids : existing ? existing.kids : 0;
+  var record = {
+    "Timestamp": new Date(),
+    "Group": entry.group,
+    "Event Date": entry.dateKey,
+    "Email": email,
+    "Response": entry.response,
+    "Kids": kids
+  };
+
+  if (!existing) {
+    appendRecord_(sheet, record);
+    return kids;
   }
 
-  var s = (optDate || "").toString().trim();
-  if (!s) {
-    var def = new Date();
-    def.setHours(12, 0, 0, 0);
-    return def;
+  var headers = data[0].map(normalizeHeader_);
+  var values = data[existing.rowNumber - 1].slice();
+  Object.keys(record).forEach(function (key) {
+    var index = headers.indexOf(normalizeHeader_(key));
+    if (index >= 0) values[index] = record[key];
+  });
+  sheet.getRange(existing.rowNumber, 1, 1, values.length).setValues([values]);
+  return kids;
+}
+
+/**
+ * Returns the configured group with the given name.
+ *
+ * @param {string} name Group name from an RSVP link
+ * @returns {Object|null} Group config, or null when no group has that name
+ */
+function findGroupByName_(name) {
+  var groups = getGroups_();
+  for (var i = 0; i < groups.length; i++) {
+    if (getGroupName_({ groupName: groups[i].name }) === name) return groups[i];
   }
+  return null;
+}
 
-  var m = s.match(/^(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{2,4})$/);
-  if (m) {
-    var month = parseInt(m[1], 10) - 1;
-    var day = parseInt(m[2], 10);
-    var year = parseInt(m[3], 10);
-    if (year < 100) year += 2000; // interpret 2-digit years as 20xx
-    var parsed = new Date(year, month, day);
-    parsed.setHours(12, 0, 0, 0);
-    return parsed;
+/**
+ * Builds the form that submits an RSVP back to the web app, with the signed
+ * link parameters as hidden fields and, unless the response is "no", a kids
+ * count input.
+ *
+ * @param {{url:string}} config RSVP settings (see `getRsvpConfig_`)
+ * @param {Object<string,string>} hidden Link parameters (`g`, `d`, `e`, `r`, `t`)
+ * @param {(number|string)} kids Kids count shown in the input ("" keeps the earlier count)
+ * @param {string} buttonLabel Submit button text
+ * @returns {string} HTML form
+ */
+function buildRsvpFormHtml_(config, hidden, kids, buttonLabel) {
+  var fields = Object.assign({}, hidden, { c: "1" });
+  return "<form method=\"get\" action=\"" + escapeHtml_(config.url) + "\" target=\"_top\">" +
+    Object.keys(fields).map(function (key) {
+      return "<input type=\"hidden\" name=\"" + key + "\" value=\"" + escapeHtml_(fields[key]) + "\">";
+    }).join("") +
+    (hidden.r === "no" ? "" : "<label>Kids coming: <input type=\"number\" name=\"k\" min=\"0\" max=\"" +
+      RsvpMaxKids + "\" value=\"" + escapeHtml_(kids) + "\"></label> ") +
+    "<button type=\"submit\">" + escapeHtml_(buttonLabel) + "</button></form>";
+}
+
+/**
+ * Handles an RSVP link or form submission and returns the page to show.
+ *
+ * Opening a link only shows a confirmation form; the response is recorded
+ * when the member submits it (`c=1`). Mail scanners that fetch every link in
+ * an email therefore cannot record responses on the member's behalf.
+ *
+ * Parameters: `g` group name, `d` event date (yyyy-MM-dd), `e` email, `r`
+ * response, `t` token (see `signRsvp_`), `c` confirmation and optional `k`
+ * kids count.
+ *
+ * @param {Object<string,string>} params Web app request parameters
+ * @returns {string} HTML page body
+ */
+function handleRsvpRequest_(params) {
+  var config = getRsvpConfig_();
+  if (!config) return "<p>RSVPs are not enabled.</p>";
+
+  var groupName = (params.g || "").toString();
+  var dateKey = (params.d || "").toString();
+  var email = (params.e || "").toString().trim();
+  var response = (params.r || "").toString().trim().toLowerCase();
+  var kidsParam = (params.k === undefined || params.k === null ? "" : params.k).toString().trim();
+  var kids = kidsParam === "" ? null : Number(kidsParam);
+  var group = findGroupByName_(groupName);
+
+  if (
+    !group || !email || !/^\d{4}-\d{2}-\d{2}$/.test(dateKey) ||
+    !Object.prototype.hasOwnProperty.call(RsvpResponses, response) ||
+    (params.t || "") !== signRsvp_(config.secret, groupName, dateKey, email)
+  ) {
+    return "<p>This RSVP link is not valid. Please use the link from your latest reminder email.</p>";
   }
 
-  var iso = s.match(/^(\d{4})-(\d{2})-(\d{2})$/);
-  if (iso) {
-    var y = parseInt(iso[1], 10);
-    var mth = parseInt(iso[2], 10) - 1;
-    var dy = parseInt(iso[3], 10);
-    var parsedIso = new Date(y, mth, dy);
-    parsedIso.setHours(12, 0, 0, 0);
-    return parsedIso;
+  if (kids !== null && (!/^\d+$/.test(kidsParam) || kids > RsvpMaxKids)) {
+    return "<p>Please enter a number of kids from 0 to " + RsvpMaxKids + ".</p>";
   }
 
-  var parsedGeneric = new Date(s);
-  if (!isNaN(parsedGeneric.getTime())) {
-    parsedGeneric.setHours(12, 0, 0, 0);
-    return parsedGeneric;
+  var date = formatCalendarDay_(getCalendarDay_(dateKey), "EEEE, MMMM d, yyyy");
+  var hidden = { g: groupName, d: dateKey, e: email, r: response, t: params.t };
+  if ((params.c || "").toString() !== "1") {
+    return "<p>Confirm your RSVP for " + escapeHtml_(groupName) + " on " + escapeHtml_(date) + ": <strong>" +
+      RsvpResponses[response] + "</strong></p>\n" + buildRsvpFormHtml_(config, hidden, kidsParam, "Confirm");
   }
 
-  var fallback = new Date();
-  fallback.setHours(12, 0, 0, 0);
-  return fallback;
+  var recordedKids = recordRsvp_(resolveGroupSheetId_(group), {
+    group: groupName, dateKey: dateKey, email: email, response: response, kids: kids
+  });
+  var html = "<p>Thanks! Your RSVP for " + escapeHtml_(groupName) + " on " + escapeHtml_(date) + ": <strong>" +
+    RsvpResponses[response] + "</strong>" + (response === "no" ? "" : " (kids: " + recordedKids + ")") + ".</p>";
+  if (response === "no") return html;
+
+  return html + "\n" + buildRsvpFormHtml_(config, hidden, recordedKids, "Save");
 }
 
-function getNextUpcomingRow_(data, optBaseDate) {
-  var today = parseBaseDate_(optBaseDate);
+// -----------------------------------------------------------------------------
+// Triggers
+// -----------------------------------------------------------------------------
+/**
+ * Parses the `SEND_SCHEDULE` script property into trigger specs.
+ *
+ * Entries are separated by ";" or new lines. Each is `[function] DAY HH:mm`,
+ * where DAY is MON–SUN or DAILY and the function (one of `TriggerFunctions`)
+ * defaults to `sendNotif`, e.g. "MON 09:00; DAILY 07:00; sendDutyNudges SAT 10:00".
+ * Times are in `getTimeZone_()`. Apps Script's `nearMinute` rounds the minute
+ * to a 15-minute step (0, 15, 30 or 45) and runs within about 15 minutes of
+ * it, so "09:10" does not fire at 09:10; prefer times on the quarter hour.
+ *
+ * Each spec's key includes the time zone, so after `TIME_ZONE` changes
+ * `installTriggers()` replaces triggers created for the old zone.
+ *
+ * @param {string} value `SEND_SCHEDULE` property value
+ * @returns {Array<{functionName:string,day:string,hours:number,minutes:number,key:string}>} Specs, without duplicates
+ * @throws {Error} If the value is blank or an entry is invalid
+ */
+function parseSendSchedule_(value) {
+  var entries = (value || "").toString().split(/[;\n]/)
+    .map(function (entry) { return entry.trim(); })
+    .filter(function (entry) { return !!entry; });
+  if (entries.length === 0) {
+    throw new Error("Set the SEND_SCHEDULE script property (e.g. \"MON 09:00\") before installing triggers.");
+  }
 
-  var maxDate = new Date(today);
-  maxDate.setDate(maxDate.getDate() + 7); // 7 days from today
+  var timeZone = getTimeZone_();
+  var specs = [];
+  entries.forEach(function (entry) {
+    var parts = entry.split(/\s+/);
+    var functionName = parts.length === 3 ? parts.shift() : "sendNotif";
+    var day = (parts[0] || "").toUpperCase();
+    var time = (parts[1] || "").match(/^(\d{1,2}):(\d{2})$/);
 
-  for (var i = 1; i < data.length; i++) { // Skip header row.
-    var k = data[i];
-    var rowDate = new Date(k[0]);
-    if (rowDate >= today && rowDate <= maxDate) {
-      return k; // first upcoming date within 7 days
+    if (
+      parts.length !== 2 || TriggerFunctions.indexOf(functionName) === -1 ||
+      !Object.prototype.hasOwnProperty.call(TriggerWeekDays, day) ||
+      !time || parseInt(time[1], 10) > 23 || parseInt(time[2], 10) > 59
+    ) {
+      throw new Error(
+        "Invalid SEND_SCHEDULE entry \"" + entry + "\". Use \"[function] DAY HH:mm\" with DAY one of " +
+        Object.keys(TriggerWeekDays).join(", ") + " and function one of " + TriggerFunctions.join(", ") + "."
+      );
     }
-  }
 
-  return null; // no upcoming row within 7 days
+    var spec = { functionName: functionName, day: day, hours: parseInt(time[1], 10), minutes: parseInt(time[2], 10) };
+    spec.key = functionName + " " + day + " " + ("0" + spec.hours).slice(-2) + ":" + ("0" + spec.minutes).slice(-2) +
+      " " + timeZone;
+    if (!specs.some(function (s) { return s.key === spec.key; })) specs.push(spec);
+  });
+
+  return specs;
 }
 
 /**
- * Returns true when the schedule row represents a "No Group" meeting.
+ * Returns the project's time-driven triggers for `TriggerFunctions`, i.e. the
+ * ones `installTriggers()` manages.
  *
- * Convention: Location column (index 2) contains the string "No Group".
- *
- * @param {Array<any>|null} k Row values from the Schedule sheet
- * @returns {boolean}
+ * @returns {Array<GoogleAppsScript.Script.Trigger>}
  */
-function isNoGroupRow_(k) {
-  if (!k) return false;
-  var location = (k[2] || "").toString().trim().toLowerCase();
-  return location === "no group";
+function getManagedTriggers_() {
+  return ScriptApp.getProjectTriggers().filter(function (trigger) {
+    return trigger.getEventType() === ScriptApp.EventType.CLOCK &&
+      TriggerFunctions.indexOf(trigger.getHandlerFunction()) !== -1;
+  });
 }
 
 /**
- * Formats a sheet date value using the script timezone after forcing midday.
- *
- * This centralizes the pattern used across the app to avoid timezone day-shift
- * issues and reduce duplicated logic.
+ * Returns the spec keys of installed triggers by trigger id, as recorded in
+ * the `INSTALLED_TRIGGERS` script property by `installTriggers()`.
  *
- * @param {any} value Date-like value from the sheet (e.g., k[0])
- * @param {string} pattern Utilities.formatDate pattern (e.g., "MM-dd")
- * @returns {string} Formatted date string
+ * @returns {Object<string,string>}
  */
-function formatRowDate_(value, pattern) {
-  var d = new Date(value);
-  d.setHours(12, 0, 0, 0); // midday
-  return Utilities.formatDate(d, Session.getScriptTimeZone(), pattern);
+function loadInstalledTriggers_() {
+  try {
+    var parsed = JSON.parse(PropertiesService.getScriptProperties().getProperty(InstalledTriggersProperty) || "{}");
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch (e) {
+    Logger.log("Ignoring invalid " + InstalledTriggersProperty + " property: " + e.message);
+    return {};
+  }
 }
 
 /**
- * Returns a short MM-dd formatted date for a sheet value, using midday.
+ * Creates a weekly (or daily) time-driven trigger for a spec.
  *
- * @param {any} value Date-like value from the sheet (e.g., k[0])
- * @returns {string} Short date string in MM-dd
+ * @param {{functionName:string,day:string,hours:number,minutes:number}} spec Trigger spec
+ * @returns {GoogleAppsScript.Script.Trigger}
  */
-function getShortDate_(value) {
-  return formatRowDate_(value, "MM-dd");
+function createTrigger_(spec) {
+  var builder = ScriptApp.newTrigger(spec.functionName).timeBased();
+  builder = spec.day === "DAILY" ? builder.everyDays(1) : builder.onWeekDay(ScriptApp.WeekDay[TriggerWeekDays[spec.day]]);
+  return builder.atHour(spec.hours).nearMinute(spec.minutes).inTimezone(getTimeZone_()).create();
 }
 
-// -----------------------------------------------------------------------------
-// Email content
-// -----------------------------------------------------------------------------
 /**
- * Builds the HTML email body for a schedule row.
+ * Makes the project's managed triggers match `SEND_SCHEDULE`.
  *
- * Uses the script timezone to format the date and forces the time to midday
- * to reduce timezone-related day shifts.
+ * Triggers already installed for a wanted entry are kept; other managed
+ * triggers (stale entries, or ones created by hand in the Apps Script UI) are
+ * deleted; missing entries are created. Running it twice changes nothing.
+ * The schedule is validated before any trigger is touched.
  *
- * @param {Array<any>|null} k Row values from the Schedule sheet
- * @returns {string} HTML email body
+ * @returns {Array<{functionName:string,schedule:string,status:string}>} One line per trigger ("kept", "created" or "removed")
+ * @throws {Error} If `SEND_SCHEDULE` is blank or invalid
  */
-function buildEmailBody_(k) {
-  if (!k) return "No upcoming events found.";
+function performTriggerInstall_() {
+  var specs = parseSendSchedule_(PropertiesService.getScriptProperties().getProperty("SEND_SCHEDULE"));
+  var installed = loadInstalledTriggers_();
+  var wanted = specs.map(function (spec) { return spec.key; });
+  var kept = {};
+  var report = [];
 
-  if (isNoGroupRow_(k)) {
-    var noGroupFormattedDate = getShortDate_(k[0]);
-    return `NO GROUP for Mendez/Williams City Group on ${noGroupFormattedDate}`;
-  }
+  getManagedTriggers_().forEach(function (trigger) {
+    var key = installed[trigger.getUniqueId()];
+    if (key && wanted.indexOf(key) !== -1 && !kept[key]) {
+      kept[key] = trigger.getUniqueId();
+      report.push({ functionName: trigger.getHandlerFunction(), schedule: key, status: "kept" });
+      return;
+    }
 
-  var formattedDate = formatRowDate_(k[0], "EEEE, MMMM d, yyyy");
-  var signupUrl = getSignupUrl_();
+    ScriptApp.deleteTrigger(trigger);
+    report.push({ functionName: trigger.getHandlerFunction(), schedule: key || "unknown (not installed from SEND_SCHEDULE)", status: "removed" });
+  });
 
-  var htmlBody = `
-  <p><strong>Date:</strong> ${formattedDate}</p>
-  <p><strong>Description:</strong> ${k[1]}</p>
-  <p><strong>Location:</strong> ${k[2]}</p>
-  <p><strong>Food Theme:</strong> ${k[3]}</p>
-  <p><strong>Childcare Duty:</strong> ${k[4]}</p>
-  <p><a href="${signupUrl}">Click here to sign up</a></p>
-`;
+  var next = {};
+  specs.forEach(function (spec) {
+    if (kept[spec.key]) {
+      next[kept[spec.key]] = spec.key;
+      return;
+    }
+    next[createTrigger_(spec).getUniqueId()] = spec.key;
+    report.push({ functionName: spec.functionName, schedule: spec.key, status: "created" });
+  });
 
-  return htmlBody;
+  PropertiesService.getScriptProperties().setProperty(InstalledTriggersProperty, JSON.stringify(next));
+  return report;
 }
 
 /**
- * Builds the email subject for a schedule row.
+ * Deletes every managed trigger (see `getManagedTriggers_`).
  *
- * Format: "Reminder for Mendez/Williams City Group on 12-17".
- * Uses the script timezone and forces the time to midday to reduce
- * timezone-related day shifts.
- *
- * @param {Array<any>|null} k Row values from the Schedule sheet
- * @returns {string} Email subject
+ * @returns {Array<{functionName:string,schedule:string,status:string}>} One "removed" line per trigger
  */
-function buildEmailSubject_(k) {
-  if (!k) return "Reminder for Mendez/Williams City Group";
-
-  var formattedDate = getShortDate_(k[0]);
-  if (isNoGroupRow_(k)) {
-    return `NO GROUP for Mendez/Williams City Group on ${formattedDate}`;
-  }
+function performTriggerRemoval_() {
+  var installed = loadInstalledTriggers_();
+  var report = getManagedTriggers_().map(function (trigger) {
+    ScriptApp.deleteTrigger(trigger);
+    return {
+      functionName: trigger.getHandlerFunction(),
+      schedule: installed[trigger.getUniqueId()] || "unknown (not installed from SEND_SCHEDULE)",
+      status: "removed"
+    };
+  });
 
-  return `Reminder for Mendez/Williams City Group on ${formattedDate}`;
+  PropertiesService.getScriptProperties().deleteProperty(InstalledTriggersProperty);
+  return report;
 }
 
 /**
- * Builds a plaintext GroupMe message for a schedule row (no HTML).
+ * Describes all of the project's triggers, with the `SEND_SCHEDULE` entry
+ * each managed one was installed from.
  *
- * - If Location is "No Group", returns the single-line NO GROUP message.
- * - Otherwise includes a subject line, long-form date, details, and signup link.
- *
- * @param {Array<any>|null} k Row values from the Schedule sheet
- * @returns {string} Plaintext message suitable for GroupMe
+ * @returns {Array<{functionName:string,schedule:string,status:string}>} One line per trigger
  */
-function buildGroupMeMessage_(k) {
-  if (!k) return "Reminder for Mendez/Williams City Group";
-
-  var shortDate = getShortDate_(k[0]);
-  if (isNoGroupRow_(k)) {
-    return `NO GROUP for Mendez/Williams City Group on ${shortDate}`;
-  }
-  var signupUrl = getSignupUrl_();
-
-  var lines = [
-    `Reminder for Mendez/Williams City Group on ${shortDate}`,
-    `Description: ${k[1]}`,
-    `Location: ${k[2]}`,
-    `Food Theme: ${k[3]}`,
-    `Childcare Duty: ${k[4]}`,
-    `Sign up: ${signupUrl}`,
-  ];
+function describeTriggers_() {
+  var installed = loadInstalledTriggers_();
+  return ScriptApp.getProjectTriggers().map(function (trigger) {
+    var key = installed[trigger.getUniqueId()];
+    return {
+      functionName: trigger.getHandlerFunction(),
+      schedule: key || String(trigger.getEventType()),
+      status: key ? "installed" : "not managed by installTriggers"
+    };
+  });
+}
 
-  return lines.join("\n");
+/**
+ * Logs a trigger report, one line per trigger.
+ *
+ * @param {string} title Report title
+ * @param {Array<{functionName:string,schedule:string,status:string}>} report Trigger report
+ * @returns {Array<Object>} The report
+ */
+function logTriggerReport_(title, report) {
+  Logger.log(title + (report.length === 0 ? ": none." : ":\n" + report.map(function (line) {
+    return "- " + line.status + ": " + line.functionName + " (" + line.schedule + ")";
+  }).join("\n")));
+  return report;
 }
 
 // -----------------------------------------------------------------------------
-// Recipient lookup
+// Failure alerts
 // -----------------------------------------------------------------------------
 /**
- * Loads recipient emails from the configured Emails sheet.
+ * Sends a plain-text failure alert to `ADMIN_EMAILS`, and a short note to the
+ * test GroupMe bot when `ALERT_TEST_GROUPME` is "true".
  *
- * Expects emails in column A, with a header in the first row.
+ * Never throws: problems sending the alert are logged so they cannot mask the
+ * original error.
  *
- * @returns {string[]} Email addresses
+ * @param {string} entryPoint Entry point name (e.g. "sendNotif")
+ * @param {{mode:string,baseDate?:any}} details Run details
+ * @param {any} error Caught error
+ * @returns {void}
  */
-function getEmailRecipients_() {
-  var data = getSheetData_(EmailSheetName);
-  var emails = [];
+function sendFailureAlert_(entryPoint, details, error) {
+  var message = error && error.message ? error.message : String(error);
+  var props = PropertiesService.getScriptProperties();
 
-  for (var i = 1; i < data.length; i++) { // Skip header row.
-    var email = data[i][0]; // Column A
-    if (email) {
-      emails.push(email);
+  try {
+    var baseDate;
+    try {
+      baseDate = typeof details.baseDate === "string" && details.baseDate.trim() && !parseDateParts_(details.baseDate)
+        ? details.baseDate + " (unparseable)"
+        : formatCalendarDay_(getBaseDay_(details.baseDate), "yyyy-MM-dd");
+    } catch (e) {
+      baseDate = String(details.baseDate || "today");
+    }
+
+    var admins = partitionRecipients_(getAdminEmails_()).valid;
+    if (admins.length === 0) {
+      Logger.log("No ADMIN_EMAILS configured; skipping failure alert email.");
+    } else {
+      MailApp.sendEmail({
+        to: admins.join(","),
+        subject: "Community group reminder failed: " + entryPoint,
+        body: [
+          entryPoint + " failed.",
+          "",
+          "Error: " + message,
+          "Mode: " + details.mode,
+          "Base date: " + baseDate,
+          "Time: " + new Date().toISOString(),
+          "",
+          "Stack:",
+          (error && error.stack) || "(no stack)"
+        ].join("\n")
+      });
     }
+  } catch (e) {
+    Logger.log("Failed to send failure alert email: " + (e && e.message ? e.message : e));
   }
 
-  return emails;
+  try {
+    if ((props.getProperty("ALERT_TEST_GROUPME") || "").toLowerCase() === "true") {
+      postGroupMeMessageWithBotId_(getTestGroupMeBotId_(), entryPoint + " failed: " + message.slice(0, 300));
+    }
+  } catch (e) {
+    Logger.log("Failed to post failure alert to GroupMe: " + (e && e.message ? e.message : e));
+  }
 }
 
 /**
- * Loads test recipients from Script Properties.
+ * Runs an entry point body, alerting organizers if it throws.
  *
- * Script property key: `TEST_EMAIL_RECIPIENTS`.
- * Value format: comma-separated list (e.g. "a@example.com,b@example.com").
+ * The error is rethrown after alerting so the execution is still marked as
+ * failed in Apps Script.
  *
- * @returns {string[]} Email addresses
- * @throws {Error} If `TEST_EMAIL_RECIPIENTS` is not configured
+ * @param {string} entryPoint Entry point name
+ * @param {{mode:string,baseDate?:any}} details Run details included in the alert
+ * @param {function():any} fn Entry point body
+ * @returns {any} Return value of `fn`
  */
-function getTestEmailRecipients_() {
-  var value = PropertiesService.getScriptProperties().getProperty("TEST_EMAIL_RECIPIENTS");
-  if (!value) {
-    throw new Error(
-      "Missing script property TEST_EMAIL_RECIPIENTS. Set it in Project Settings → Script properties (comma-separated emails)."
-    );
+function runWithFailureAlert_(entryPoint, details, fn) {
+  try {
+    return fn();
+  } catch (e) {
+    Logger.log(entryPoint + " failed: " + (e && e.stack ? e.stack : e));
+    sendFailureAlert_(entryPoint, details, e);
+    throw e;
   }
-
-  return value
-    .split(",")
-    .map(function (e) { return (e || "").toString().trim(); })
-    .filter(function (e) { return !!e; });
 }
 
+// -----------------------------------------------------------------------------
+// Entry points
+// -----------------------------------------------------------------------------
 /**
- * Best-effort email validation.
+ * Entry point: sends the upcoming reminder via email and posts to GroupMe.
  *
- * This is a practical check (not full RFC compliance) to catch obvious issues.
+ * Production variant, run for every group in `GROUPS` (or the single `SHEET_ID`
+ * group): reads recipients from each group's Emails sheet and posts with its bot.
  *
- * @param {string} email Email address to validate
- * @returns {boolean} True if the email looks valid
+ * @returns {void}
  */
-function isValidEmail_(email) {
-  if (!email) return false;
-  if (email.length > 320) return false;
-  // Practical (not fully RFC) validation.
-  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+function sendNotif() {
+  runWithFailureAlert_("sendNotif", { mode: "prod" }, function () {
+    sendRemindersForAllGroups_({ mode: "prod" });
+  });
 }
 
-// -----------------------------------------------------------------------------
-// Sending
-// -----------------------------------------------------------------------------
 /**
- * Sends a single HTML email to all valid recipients using the 'to' field.
+ * Entry point: production send that ignores the SendLog duplicate check.
  *
- * Invalid recipients are logged and excluded. If there are no valid recipients,
- * no email is sent.
+ * Use to deliberately re-send a reminder that already went out (e.g. after
+ * fixing a typo in the Schedule sheet).
  *
- * @param {string} subject Email subject
- * @param {string} body HTML body
- * @param {Array<any>} recipients Array of recipient values (strings preferred)
  * @returns {void}
  */
-function sendEmailToRecipients_(subject, body, recipients) {
-  if (!recipients || recipients.length === 0) {
-    Logger.log("No email recipients provided.");
-    return;
-  }
-
-  var normalizedRecipients = recipients
-    .map(function (r) { return (r || "").toString().trim(); });
+function forceSendNotif() {
+  runWithFailureAlert_("forceSendNotif", { mode: "prod" }, function () {
+    sendRemindersForAllGroups_({ mode: "prod", force: true });
+  });
+}
 
-  var validRecipients = [];
-  var invalidRecipients = [];
-  for (var i = 0; i < normalizedRecipients.length; i++) {
-    if (isValidEmail_(normalizedRecipients[i])) {
-      validRecipients.push(normalizedRecipients[i]);
-    } else {
-      invalidRecipients.push(normalizedRecipients[i]);
-    }
-  }
+/**
+ * Entry point: previews what `sendNotif()` would send, without sending.
+ *
+ * For every group, renders the reminder and resolves recipients and the bot,
+ * logs the report, and writes it to the group's Preview sheet. Nothing is
+ * emailed, posted, or written to the SendLog.
+ *
+ * @returns {Array<Object>} Dry-run reports, one per group
+ */
+function previewNotif() {
+  return runWithFailureAlert_("previewNotif", { mode: "prod" }, function () {
+    return sendRemindersForAllGroups_({ mode: "prod", dryRun: true });
+  });
+}
 
-  if (invalidRecipients.length > 0) {
-    Logger.log("Invalid email recipients provided: " + invalidRecipients.join(","));
-  }
+/**
+ * Entry point: checks each group's Schedule tab and writes the findings to
+ * its Validation sheet. See `validateScheduleData_`.
+ *
+ * @returns {void}
+ */
+function validateSchedule() {
+  runWithFailureAlert_("validateSchedule", { mode: "prod" }, function () {
+    runForAllGroups_("Schedule validation", performScheduleValidation_, {});
+  });
+}
 
-  if (validRecipients.length === 0) {
-    Logger.log("No valid email recipients provided.");
-    return;
-  }
+/**
+ * Entry point: appends the next `GENERATE_WEEKS` weeks (default 12) of
+ * meetings on `MEETING_DAY` to each group's Schedule tab, rotating hosts,
+ * food themes and childcare pairs from the Rosters tab. Existing rows are
+ * never changed, so it is safe to re-run. See `performScheduleGeneration_`.
+ *
+ * @returns {void}
+ */
+function generateSchedule() {
+  runWithFailureAlert_("generateSchedule", { mode: "prod" }, function () {
+    runForAllGroups_("Schedule generation", performScheduleGeneration_, {});
+  });
+}
 
-  MailApp.sendEmail({
-    to: validRecipients.join(","),
-    subject: subject,
-    htmlBody: body
+/**
+ * Entry point: previews what `generateSchedule()` would add, without
+ * changing the Schedule tab.
+ *
+ * For every group, plans the rows and writes them to the group's
+ * SchedulePreview sheet (replacing its contents), one column per Schedule
+ * header.
+ *
+ * @returns {Array<Object>} Results, one per group, with the planned dates in `added`
+ */
+function previewSchedule() {
+  return runWithFailureAlert_("previewSchedule", { mode: "prod" }, function () {
+    return runForAllGroups_("Schedule generation preview", performScheduleGeneration_, { dryRun: true });
   });
 }
 
 /**
- * Posts a message to a GroupMe group via the Bot API, using an explicit bot id.
+ * Entry point: emails and posts a "still needed" summary of blank Food Theme
+ * and Childcare Duty cells in the next few Schedule rows.
+ *
+ * Schedule this weekly. See `performOpenSlotsDigest_`.
  *
- * @param {string} botId GroupMe bot id
- * @param {string} text Message text
  * @returns {void}
  */
-function postGroupMeMessageWithBotId_(botId, text) {
-  var message = (text || "").toString().trim();
-  if (!message) {
-    Logger.log("No GroupMe message text provided.");
-    return;
-  }
+function sendOpenSlotsDigest() {
+  runWithFailureAlert_("sendOpenSlotsDigest", { mode: "prod" }, function () {
+    runForAllGroups_("Open slots digest", performOpenSlotsDigest_, { mode: "prod" });
+  });
+}
 
-  var normalizedBotId = (botId || "").toString().trim();
-  if (!normalizedBotId) {
-    Logger.log("No GroupMe bot id provided.");
-    return;
-  }
+/**
+ * Entry point: test variant of `sendOpenSlotsDigest()`.
+ *
+ * Sends to `TEST_EMAIL_RECIPIENTS` and the test GroupMe bot. Optionally
+ * honors Script Property `TEST_BASE_DATE`.
+ *
+ * @returns {void}
+ */
+function testSendOpenSlotsDigest() {
+  var baseProp = PropertiesService.getScriptProperties().getProperty("TEST_BASE_DATE");
+  runWithFailureAlert_("testSendOpenSlotsDigest", { mode: "test", baseDate: baseProp }, function () {
+    var optBaseDate = getTestBaseDate_();
+    runForAllGroups_("Open slots digest", performOpenSlotsDigest_, { mode: "test", optBaseDate: optBaseDate });
+  });
+}
 
-  var url = "https://api.groupme.com/v3/bots/post";
-  var payload = {
-    bot_id: normalizedBotId,
-    text: message
-  };
+/**
+ * Entry point: sends personal duty nudges for the next upcoming row.
+ *
+ * Schedule this a day or two before `sendNotif()`. See `performDutyNudges_`.
+ *
+ * @returns {void}
+ */
+function sendDutyNudges() {
+  runWithFailureAlert_("sendDutyNudges", { mode: "prod" }, function () {
+    runForAllGroups_("Duty nudge", performDutyNudges_, { mode: "prod" });
+  });
+}
 
-  UrlFetchApp.fetch(url, {
-    method: "post",
-    contentType: "application/json",
-    payload: JSON.stringify(payload),
-    muteHttpExceptions: true
+/**
+ * Entry point: test variant of `sendDutyNudges()`.
+ *
+ * Nudges go to `TEST_EMAIL_RECIPIENTS` and the test GroupMe bot. Optionally
+ * honors Script Property `TEST_BASE_DATE`.
+ *
+ * @returns {void}
+ */
+function testSendDutyNudges() {
+  var baseProp = PropertiesService.getScriptProperties().getProperty("TEST_BASE_DATE");
+  runWithFailureAlert_("testSendDutyNudges", { mode: "test", baseDate: baseProp }, function () {
+    var optBaseDate = getTestBaseDate_();
+    runForAllGroups_("Duty nudge", performDutyNudges_, { mode: "test", optBaseDate: optBaseDate });
   });
 }
 
 /**
- * Returns the Google Sheets sign-up URL based on the configured sheet id.
+ * Entry point: syncs future Schedule rows into each group's Google Calendar.
  *
- * @returns {string} Sign-up URL
+ * Uses the group's `calendarId` (or `CALENDAR_ID`). See `performCalendarSync_`.
+ *
+ * @returns {void}
  */
-function getSignupUrl_() {
-  var sheetId = getSheetId_();
-  return "https://docs.google.com/spreadsheets/d/" + sheetId + "/edit?usp=sharing";
+function syncCalendar() {
+  runWithFailureAlert_("syncCalendar", { mode: "prod" }, function () {
+    runForAllGroups_("Calendar sync", performCalendarSync_, {});
+  });
 }
 
 /**
- * Composes all reminder artifacts from a given schedule row.
+ * Entry point: checks the setup and logs a pass/fail checklist covering every
+ * script property, each group's Schedule and Emails tabs (headers and
+ * recipient emails) and GroupMe bot. Run it after changing configuration.
+ * See `performSetupCheck_`.
  *
- * @param {Array<any>|null} row Schedule row
- * @returns {{subject:string,emailBody:string,message:string,row:Array<any>|null}}
+ * @returns {Array<{status:string,check:string,detail:string}>} Checklist
  */
-function composeReminder_(row) {
-  return {
-    subject: buildEmailSubject_(row),
-    emailBody: buildEmailBody_(row),
-    message: buildGroupMeMessage_(row),
-    row: row
-  };
+function checkSetup() {
+  var lines = performSetupCheck_();
+  var count = function (status) { return lines.filter(function (l) { return l.status === status; }).length; };
+
+  Logger.log(
+    "Setup check: " + count("FAIL") + " problem(s), " + count("WARN") + " warning(s).\n" +
+    lines.map(function (l) { return "[" + l.status + "] " + l.check + ": " + l.detail; }).join("\n")
+  );
+  return lines;
 }
 
 /**
- * Returns recipients based on mode.
- * @param {"prod"|"test"} mode
- * @returns {string[]}
+ * Entry point: installs the time-driven triggers listed in `SEND_SCHEDULE`
+ * (e.g. "MON 09:00; DAILY 07:00") and removes stale ones. Safe to re-run
+ * after editing the property. See `performTriggerInstall_`.
+ *
+ * @returns {Array<{functionName:string,schedule:string,status:string}>} What was kept, created and removed
  */
-function getRecipientsForMode_(mode) {
-  return mode === "prod" ? getEmailRecipients_() : getTestEmailRecipients_();
+function installTriggers() {
+  return runWithFailureAlert_("installTriggers", { mode: "prod" }, function () {
+    return logTriggerReport_("Triggers for SEND_SCHEDULE", performTriggerInstall_());
+  });
 }
 
 /**
- * Returns GroupMe bot id based on mode.
- * @param {"prod"|"test"} mode
- * @returns {string}
+ * Entry point: removes every time-driven trigger for the scheduled entry
+ * points (see `TriggerFunctions`), e.g. before handing the script over.
+ *
+ * @returns {Array<{functionName:string,schedule:string,status:string}>} Removed triggers
  */
-function getGroupMeBotIdForMode_(mode) {
-  return mode === "prod" ? getGroupMeBotId_() : getTestGroupMeBotId_();
+function removeTriggers() {
+  return runWithFailureAlert_("removeTriggers", { mode: "prod" }, function () {
+    return logTriggerReport_("Removed triggers", performTriggerRemoval_());
+  });
 }
 
 /**
- * Orchestrates sending email and/or GroupMe for the next upcoming row.
- * @param {{mode:"prod"|"test", sendEmail:boolean, sendGroupMe:boolean, optBaseDate?:any}} opts
+ * Entry point: logs and returns the project's triggers and the
+ * `SEND_SCHEDULE` entry each was installed from.
+ *
+ * @returns {Array<{functionName:string,schedule:string,status:string}>} Installed triggers
  */
-function performReminderSend_(opts) {
-  var mode = (opts && opts.mode) || "prod";
-  var scheduleData = getSheetData_(ScheduleSheetName);
-  var nextRow = getNextUpcomingRow_(scheduleData, opts && opts.optBaseDate);
-  var reminder = composeReminder_(nextRow);
+function listTriggers() {
+  return logTriggerReport_("Installed triggers", describeTriggers_());
+}
 
-  if (opts && opts.sendEmail) {
-    var recipients = getRecipientsForMode_(mode);
-    sendEmailToRecipients_(reminder.subject, reminder.emailBody, recipients);
+/**
+ * Web app entry point: receives GroupMe bot callbacks and answers member
+ * commands (`!next`, `!schedule`, `!food`, `!childcare`, `!help`).
+ *
+ * Deploy the script as a web app and set its URL as the bot's callback URL.
+ * The reply is posted with the group's bot. Requests that are not JSON are
+ * ignored; other errors are alerted (see `sendFailureAlert_`) but not
+ * rethrown, so GroupMe always gets a response.
+ *
+ * @param {{postData?:{contents:string}}} e Web app request event
+ * @returns {GoogleAppsScript.Content.TextOutput}
+ */
+function doPost(e) {
+  var payload;
+  try {
+    payload = JSON.parse((e && e.postData && e.postData.contents) || "{}");
+  } catch (err) {
+    Logger.log("Ignoring web app request that is not JSON.");
+    return ContentService.createTextOutput("ok");
   }
 
-  if (opts && opts.sendGroupMe) {
-    var botId = getGroupMeBotIdForMode_(mode);
-    postGroupMeMessageWithBotId_(botId, reminder.message);
+  try {
+    var response = handleGroupMeCallback_(payload);
+    if (response) {
+      var posted = postGroupMeMessageWithBotId_(getGroupMeBotIdForMode_("prod", response.group), response.reply);
+      if (!posted.ok) {
+        throw new Error(posted.error);
+      }
+    }
+  } catch (err) {
+    Logger.log("doPost failed: " + (err && err.stack ? err.stack : err));
+    sendFailureAlert_("doPost", { mode: "prod" }, err);
   }
+
+  return ContentService.createTextOutput("ok");
 }
 
-// -----------------------------------------------------------------------------
-// Entry points
-// -----------------------------------------------------------------------------
 /**
- * Entry point: sends the upcoming reminder via email and posts to GroupMe.
+ * Web app entry point: shows a confirmation form for the RSVP links in
+ * reminder emails and records the response once the member confirms (see
+ * `handleRsvpRequest_`).
  *
- * Production variant: reads recipients from `Emails` sheet and uses `GROUPME_BOT_ID`.
+ * Set `WEB_APP_URL` to the web app URL (deployed to run as you, accessible to
+ * anyone) and `RSVP_SECRET` to a long random string. Errors are alerted (see
+ * `sendFailureAlert_`) and the member sees a short apology.
  *
- * @returns {void}
+ * @param {{parameter?:Object<string,string>}} e Web app request event
+ * @returns {GoogleAppsScript.HTML.HtmlOutput}
  */
-function sendNotif() {
-  performReminderSend_({ mode: "prod", sendEmail: true, sendGroupMe: true });
+function doGet(e) {
+  var html;
+  try {
+    html = handleRsvpRequest_((e && e.parameter) || {});
+  } catch (err) {
+    Logger.log("doGet failed: " + (err && err.stack ? err.stack : err));
+    sendFailureAlert_("doGet", { mode: "prod" }, err);
+    html = "<p>Sorry, your RSVP could not be saved. Please try again later.</p>";
+  }
+
+  return HtmlService.createHtmlOutput(html).setTitle("RSVP");
 }
 
 /**
  * Entry point: test variant that sends email and posts to GroupMe test bot.
  *
- * Test recipients are loaded from `TEST_EMAIL_RECIPIENTS` and posting uses `TEST_GROUPME_BOT_ID`.
+ * Runs for every configured group. Test recipients are loaded from
+ * `TEST_EMAIL_RECIPIENTS` and posting uses the group's test bot or `TEST_GROUPME_BOT_ID`.
  * Optionally honors a base date override via Script Property `TEST_BASE_DATE`.
- * Supported formats include mm/dd/yy, mm/dd/yyyy, and yyyy-mm-dd.
+ * Supported formats include mm/dd/yy, mm/dd/yyyy, and yyyy-mm-dd; any other
+ * value fails the run (see `getTestBaseDate_`).
  *
  * @returns {void}
  */
 function testSendNotif() {
   var baseProp = PropertiesService.getScriptProperties().getProperty("TEST_BASE_DATE");
-  var optBaseDate = baseProp ? parseBaseDate_(baseProp) : undefined;
-  performReminderSend_({ mode: "test", sendEmail: true, sendGroupMe: true, optBaseDate: optBaseDate });
+  runWithFailureAlert_("testSendNotif", { mode: "test", baseDate: baseProp }, function () {
+    var optBaseDate = getTestBaseDate_();
+    sendRemindersForAllGroups_({ mode: "test", optBaseDate: optBaseDate });
+  });
 }
 
 // -----------------------------------------------------------------------------
@@ -528,26 +5092,85 @@ function testSendNotif() {
 if (typeof module !== "undefined" && module.exports) {
   module.exports = {
     parseBaseDate_,
+    normalizeHeader_,
+    mapHeaderColumns_,
+    parseScheduleRows_,
     getNextUpcomingRow_,
     isNoGroupRow_,
+    parseBlackouts_,
+    applyBlackouts_,
     formatRowDate_,
     getShortDate_,
+    parseTemplates_,
+    renderTemplate_,
+    escapeHtml_,
     getSignupUrl_,
+    getRowSignupUrl_,
+    buildRsvpUrl_,
+    parseRsvps_,
+    getRsvpCounts_,
     buildEmailBody_,
     buildEmailSubject_,
     buildGroupMeMessage_,
     composeReminder_,
+    getUpcomingRows_,
+    parseSheetDate_,
+    validateScheduleData_,
+    validateSchedule,
+    buildDigestEmailBody_,
+    buildDigestGroupMeMessage_,
     sendEmailToRecipients_,
     getGroupMeBotId_,
     getTestGroupMeBotId_,
     getGroupMeBotIdForMode_,
     postGroupMeMessageWithBotId_,
+    splitGroupMeMessage_,
     sendNotif,
+    forceSendNotif,
+    previewNotif,
     testSendNotif,
+    syncCalendar,
+    doPost,
+    checkSetup,
+    installTriggers,
+    removeTriggers,
+    listTriggers,
+    parseSendSchedule_,
+    doGet,
+    handleGroupMeCallback_,
+    buildIcsEvent_,
+    selectReminderRow_,
+    getReminderCadences_,
+    foldIcsLine_,
+    sendDutyNudges,
+    sendOpenSlotsDigest,
+    testSendOpenSlotsDigest,
+    findOpenSlots_,
+    parseRosters_,
+    planScheduleRows_,
+    getMeetingWeekday_,
+    generateSchedule,
+    previewSchedule,
+    testSendDutyNudges,
+    splitAssigneeNames_,
+    findMemberByName_,
+    getDutyAssignments_,
+    hasPriorSend_,
+    appendRecord_,
     getEmailRecipients_,
+    parseMembers_,
+    getEmailSendMode_,
     getRecipientsForMode_,
+    getAdminEmails_,
+    planOrganizerNotices_,
+    sendFailureAlert_,
+    runWithFailureAlert_,
     performReminderSend_,
+    sendRemindersForAllGroups_,
+    parseGroups_,
+    getGroups_,
     getSheetData_,
+    getOptionalSheetData_,
     getSheetId_
   };
 }